@@ -0,0 +1,379 @@
+import { Vector2, MouseJoint } from './physics.js';
+
+// Mouse and touch interaction. Every pointer that presses on a body grabs
+// it with its own MouseJoint, a soft spring from the grab point to the
+// pointer that the engine solves along with its joints, and throws it with
+// the pointer's velocity when let go. Pointers are told apart by the DOM's
+// pointerId, so two fingers can pull different bodies, or both ends of one.
+// The right mouse button applies the current tool at the cursor instead:
+// 'spawn' drops a box, 'delete' removes a body and 'freeze' pins a body in
+// place or lets a frozen one go again.
+//
+// The controller only records pointer state from the DOM side; the joints'
+// targets and the pointer velocities are updated from the engine's
+// 'preStep' event so that happens at the same point of every tick.
+//
+// Every input, including the scene commands behind the page's buttons, goes
+// through handleInput() as a plain object and is announced with the engine's
+// 'input' event, so an InputRecorder can capture it and an InputReplay can
+// feed it back in.
+export class MouseController {
+    constructor(engine, options = {}) {
+        this.engine = engine;
+        
+        // Pointers that are down, by pointer ID: { position, lastPosition,
+        // velocity, joint }, where joint is null unless a body was grabbed
+        this.pointers = new Map();
+        
+        // Grab spring, see MouseJoint. The force cap scales with the body's
+        // mass so light and heavy bodies are dragged alike, and is low enough
+        // that a dragged body cannot be forced through a resting stack.
+        this.frequencyHz = options.frequencyHz || 5;
+        this.dampingRatio = options.dampingRatio !== undefined ? options.dampingRatio : 0.7;
+        this.maxAcceleration = options.maxAcceleration || 2000; // pixels/second²
+        
+        // Pointer velocities are in pixels/tick, smoothed over the last few
+        // ticks so a throw takes the flick rather than the last event's jitter
+        this.throwSmoothing = 0.5;
+        this.maxThrowSpeed = options.maxThrowSpeed || 1500; // pixels/second
+        
+        // Right button tool, and the bodies the freeze tool made static
+        this.tool = 'spawn';
+        this.frozenBodies = new Set();
+        
+        // Set by InputReplay while it feeds recorded inputs in
+        this.isReplaying = false;
+        
+        this.update = this.update.bind(this);
+        this.handleReset = this.handleReset.bind(this);
+        this.handleBodyDestroyed = this.handleBodyDestroyed.bind(this);
+        engine.on('preStep', this.update);
+        engine.on('reset', this.handleReset);
+        engine.on('destroyBody', this.handleBodyDestroyed);
+    }
+    
+    // Pointer ID the single-pointer shorthands below act for
+    static mousePointerId = 0;
+    
+    detach() {
+        this.engine.off('preStep', this.update);
+        this.engine.off('reset', this.handleReset);
+        this.engine.off('destroyBody', this.handleBodyDestroyed);
+    }
+    
+    // Pointer and grab state, so that a recording can start in the middle of a drag
+    saveState() {
+        const encode = (v) => ({ x: v.x, y: v.y });
+        return {
+            pointers: [...this.pointers].map(([pointerId, pointer]) => ({
+                pointerId,
+                position: encode(pointer.position),
+                lastPosition: encode(pointer.lastPosition),
+                velocity: encode(pointer.velocity),
+                grab: pointer.joint ? {
+                    body: pointer.joint.body.id,
+                    localAnchor: encode(pointer.joint.localAnchor),
+                    impulse: encode(pointer.joint.impulse),
+                    angularImpulse: pointer.joint.angularImpulse
+                } : null
+            })),
+            frozenBodies: [...this.frozenBodies].map(body => body.id)
+        };
+    }
+    
+    loadState(state) {
+        for (const pointerId of [...this.pointers.keys()]) {
+            this.dropGrab(pointerId);
+        }
+        this.pointers.clear();
+        
+        for (const data of state.pointers) {
+            const position = new Vector2(data.position.x, data.position.y);
+            // A grabbed body the engine no longer has leaves the pointer empty handed
+            const body = data.grab ? this.engine.getBodyById(data.grab.body) : null;
+            let joint = null;
+            if (body) {
+                joint = new MouseJoint(body, position, this.getJointOptions(body));
+                joint.localAnchor = new Vector2(data.grab.localAnchor.x, data.grab.localAnchor.y);
+                joint.impulse = new Vector2(data.grab.impulse.x, data.grab.impulse.y);
+                joint.angularImpulse = data.grab.angularImpulse;
+                this.engine.addMouseJoint(joint);
+            }
+            this.pointers.set(data.pointerId, {
+                position,
+                lastPosition: new Vector2(data.lastPosition.x, data.lastPosition.y),
+                velocity: new Vector2(data.velocity.x, data.velocity.y),
+                joint
+            });
+        }
+        
+        this.frozenBodies = new Set(state.frozenBodies.map(id => this.engine.getBodyById(id)).filter(body => body));
+    }
+    
+    // Wires the controller to a canvas element. Pointer events cover mouse,
+    // pen and touch alike; capturing the pointer keeps a drag going when it
+    // leaves the canvas.
+    attach(canvas) {
+        const getPointerPos = (e) => {
+            const rect = canvas.getBoundingClientRect();
+            return new Vector2(e.clientX - rect.left, e.clientY - rect.top);
+        };
+        
+        // Touches drag bodies instead of scrolling or zooming the page
+        canvas.style.touchAction = 'none';
+        
+        // Shift-click belongs to the debug draw's inspector, see DebugDraw.attach
+        canvas.addEventListener('pointerdown', (e) => {
+            const pointerPos = getPointerPos(e);
+            if (e.button === 0 && !e.shiftKey) {
+                canvas.setPointerCapture(e.pointerId);
+                this.handlePointerDown(e.pointerId, pointerPos.x, pointerPos.y);
+            } else if (e.button === 2) {
+                this.handleToolClick(pointerPos.x, pointerPos.y);
+            }
+        });
+        
+        // A mouse hovering without a button down has nothing to drag
+        canvas.addEventListener('pointermove', (e) => {
+            if (!this.pointers.has(e.pointerId)) return;
+            const pointerPos = getPointerPos(e);
+            this.handlePointerMove(e.pointerId, pointerPos.x, pointerPos.y);
+        });
+        
+        const handleRelease = (e) => {
+            if (this.pointers.has(e.pointerId)) this.handlePointerUp(e.pointerId);
+        };
+        canvas.addEventListener('pointerup', handleRelease);
+        canvas.addEventListener('pointercancel', handleRelease);
+        
+        // The right button belongs to the tools, not the context menu
+        canvas.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+        });
+    }
+    
+    // Engine methods that inputs of type 'command' may call
+    static commands = ['addRandomBox', 'addRandomPolygon', 'addRandomCircle', 'addRandomCapsule', 'addChain', 'addPlatform', 'addBullet', 'reset', 'setSolverMode'];
+    
+    // What the right button does, see applyTool
+    static tools = ['spawn', 'delete', 'freeze'];
+    
+    handleInput(input) {
+        this.engine.emit('input', input);
+        
+        switch (input.type) {
+            case 'pointerDown':
+                this.applyPointerDown(input.pointerId, new Vector2(input.x, input.y));
+                break;
+            case 'pointerMove':
+                this.applyPointerMove(input.pointerId, new Vector2(input.x, input.y));
+                break;
+            case 'pointerUp':
+                this.releaseGrab(input.pointerId);
+                break;
+            case 'tool':
+                if (!MouseController.tools.includes(input.name)) {
+                    throw new Error(`Unknown tool ${input.name}`);
+                }
+                this.applyTool(input.name, new Vector2(input.x, input.y));
+                break;
+            case 'command':
+                if (!MouseController.commands.includes(input.name)) {
+                    throw new Error(`Unknown command ${input.name}`);
+                }
+                this.engine[input.name](...(input.args || []));
+                break;
+            default:
+                throw new Error(`Unknown input type ${input.type}`);
+        }
+    }
+    
+    // Input from the page or a script. While an InputReplay drives the
+    // controller it is dropped, as it would land between the recorded inputs.
+    handleLiveInput(input) {
+        if (this.isReplaying) return;
+        this.handleInput(input);
+    }
+    
+    handlePointerDown(pointerId, x, y) {
+        this.handleLiveInput({ type: 'pointerDown', pointerId, x, y });
+    }
+    
+    handlePointerMove(pointerId, x, y) {
+        this.handleLiveInput({ type: 'pointerMove', pointerId, x, y });
+    }
+    
+    handlePointerUp(pointerId) {
+        this.handleLiveInput({ type: 'pointerUp', pointerId });
+    }
+    
+    // Single-pointer shorthands, for scripts driving the controller directly
+    handleMouseDown(x, y) {
+        this.handlePointerDown(MouseController.mousePointerId, x, y);
+    }
+    
+    handleMouseMove(x, y) {
+        this.handlePointerMove(MouseController.mousePointerId, x, y);
+    }
+    
+    handleMouseUp() {
+        this.handlePointerUp(MouseController.mousePointerId);
+    }
+    
+    // The input names the tool, so a replay does not depend on which one
+    // the page has selected
+    handleToolClick(x, y) {
+        this.handleLiveInput({ type: 'tool', name: this.tool, x, y });
+    }
+    
+    command(name, ...args) {
+        this.handleLiveInput({ type: 'command', name, args });
+    }
+    
+    setTool(name) {
+        if (!MouseController.tools.includes(name)) {
+            throw new Error(`Unknown tool ${name}`);
+        }
+        this.tool = name;
+    }
+    
+    getJointOptions(body) {
+        return {
+            frequencyHz: this.frequencyHz,
+            dampingRatio: this.dampingRatio,
+            maxForce: body.mass * this.maxAcceleration
+        };
+    }
+    
+    // The joints of all pointers holding a body
+    getMouseJoints() {
+        return [...this.pointers.values()].filter(pointer => pointer.joint).map(pointer => pointer.joint);
+    }
+    
+    applyPointerDown(pointerId, position) {
+        this.dropGrab(pointerId);
+        const pointer = { position, lastPosition: position, velocity: new Vector2(0, 0), joint: null };
+        this.pointers.set(pointerId, pointer);
+        
+        // Grab the body under the pointer at the pressed point. Other
+        // pointers may already hold it; each pulls at its own point.
+        const bodyUnderPointer = this.engine.getBodyAtPoint(position);
+        if (bodyUnderPointer && !bodyUnderPointer.isStatic && !bodyUnderPointer.isKinematic) {
+            const joint = new MouseJoint(bodyUnderPointer, position, this.getJointOptions(bodyUnderPointer));
+            pointer.joint = this.engine.addMouseJoint(joint);
+        }
+    }
+    
+    applyPointerMove(pointerId, position) {
+        const pointer = this.pointers.get(pointerId);
+        if (pointer) pointer.position = position;
+    }
+    
+    // Lifts the pointer; a held body keeps the pointer's velocity, unless
+    // another pointer still holds it and carries on the drag
+    releaseGrab(pointerId) {
+        const pointer = this.pointers.get(pointerId);
+        if (!pointer) return;
+        
+        const joint = pointer.joint;
+        this.dropGrab(pointerId);
+        this.pointers.delete(pointerId);
+        if (!joint) return;
+        for (const other of this.pointers.values()) {
+            if (other.joint && other.joint.body === joint.body) return;
+        }
+        
+        let velocity = pointer.velocity;
+        const speed = Vector2.length(velocity);
+        const maxSpeed = this.maxThrowSpeed / this.engine.hz;
+        if (speed > maxSpeed) {
+            velocity = Vector2.multiply(velocity, maxSpeed / speed);
+        }
+        joint.body.velocity = velocity;
+    }
+    
+    // Lets go of the pointer's body as it is; the pointer stays down
+    dropGrab(pointerId) {
+        const pointer = this.pointers.get(pointerId);
+        if (pointer && pointer.joint) {
+            this.engine.removeMouseJoint(pointer.joint);
+            pointer.joint = null;
+        }
+    }
+    
+    applyTool(name, point) {
+        const body = this.engine.getBodyAtPoint(point);
+        switch (name) {
+            case 'spawn':
+                this.spawnBox(point);
+                break;
+            case 'delete':
+                // The walls and the scene's static bodies stay, but what the
+                // freeze tool pinned can go
+                if (body && (!body.isStatic || this.frozenBodies.has(body))) {
+                    this.engine.destroyBody(body);
+                }
+                break;
+            case 'freeze':
+                if (body) this.toggleFrozen(body);
+                break;
+        }
+    }
+    
+    // Sized like addRandomBox's, from the engine's generator so replays match
+    spawnBox(point) {
+        const engine = this.engine;
+        engine.createBody({
+            shape: 'rectangle',
+            x: point.x,
+            y: point.y,
+            width: 30 + engine.random() * 40,
+            height: 30 + engine.random() * 40
+        });
+    }
+    
+    toggleFrozen(body) {
+        if (this.frozenBodies.has(body)) {
+            this.frozenBodies.delete(body);
+            this.engine.setBodyStatic(body, false);
+        } else if (!body.isStatic && !body.isKinematic) {
+            // A static body cannot be pulled on
+            for (const [pointerId, pointer] of this.pointers) {
+                if (pointer.joint && pointer.joint.body === body) this.dropGrab(pointerId);
+            }
+            this.frozenBodies.add(body);
+            this.engine.setBodyStatic(body, true);
+        }
+    }
+    
+    // The engine has already dropped its mouse joints and bodies
+    handleReset() {
+        this.pointers.clear();
+        this.frozenBodies.clear();
+    }
+    
+    // The pointers stay down, but there is nothing left to drag
+    handleBodyDestroyed(body) {
+        for (const pointer of this.pointers.values()) {
+            if (pointer.joint && pointer.joint.body === body) {
+                pointer.joint = null;
+            }
+        }
+        this.frozenBodies.delete(body);
+    }
+    
+    update() {
+        for (const pointer of this.pointers.values()) {
+            const moved = Vector2.subtract(pointer.position, pointer.lastPosition);
+            pointer.velocity = Vector2.add(
+                Vector2.multiply(pointer.velocity, 1 - this.throwSmoothing),
+                Vector2.multiply(moved, this.throwSmoothing)
+            );
+            pointer.lastPosition = pointer.position;
+            
+            if (pointer.joint) {
+                pointer.joint.target = pointer.position;
+            }
+        }
+    }
+}
@@ -0,0 +1,263 @@
+import { Vector2 } from './physics.js';
+
+// Debug overlay, drawn by a Renderer after the bodies. Each layer shows one
+// part of the solver's state and can be switched on and off; a body picked
+// with inspect() gets a panel with its numbers and those of its contacts.
+//
+// Bodies are drawn interpolated between ticks, but contacts only exist at
+// the end of the last tick, so everything here is drawn at that state.
+// Velocities are drawn in pixels/second times velocityScale, forces (the
+// resting phase's normal impulses divided by the tick length) in
+// mass * pixels/second² times forceScale.
+export class DebugDraw {
+    static layers = {
+        contacts: 'Contact points',
+        normals: 'Normals and tangents',
+        forces: 'Normal forces',
+        penetrations: 'Penetration depths',
+        collisionMasses: 'Collision masses',
+        restingVelocities: 'Resting velocities',
+        velocities: 'Velocities',
+        aabbs: 'AABBs',
+        sleep: 'Sleep state'
+    };
+    
+    constructor(renderer, options = {}) {
+        this.renderer = renderer;
+        this.engine = renderer.engine;
+        this.ctx = renderer.ctx;
+        this.velocityScale = options.velocityScale || 0.1;
+        this.forceScale = options.forceScale || 0.5;
+        this.inspectedBody = null;
+        
+        // Contact points and velocities were always drawn before there were layers
+        this.layers = {};
+        for (const name of Object.keys(DebugDraw.layers)) {
+            this.layers[name] = name === 'contacts' || name === 'velocities';
+        }
+        Object.assign(this.layers, options.layers);
+        
+        this.handleBodyDestroyed = this.handleBodyDestroyed.bind(this);
+        this.engine.on('destroyBody', this.handleBodyDestroyed);
+        renderer.addOverlay(this);
+    }
+    
+    detach() {
+        this.engine.off('destroyBody', this.handleBodyDestroyed);
+        this.renderer.removeOverlay(this);
+    }
+    
+    setLayer(name, enabled) {
+        if (!(name in DebugDraw.layers)) {
+            throw new Error(`Unknown debug layer ${name}`);
+        }
+        this.layers[name] = enabled;
+    }
+    
+    toggleLayer(name) {
+        this.setLayer(name, !this.layers[name]);
+    }
+    
+    // Picks the body under the point for the inspector panel, or clears it
+    inspect(point) {
+        this.inspectedBody = this.engine.getBodyAtPoint(point);
+        return this.inspectedBody;
+    }
+    
+    handleBodyDestroyed(body) {
+        if (body === this.inspectedBody) {
+            this.inspectedBody = null;
+        }
+    }
+    
+    // Shift-click inspects, so a plain click still grabs. The controller
+    // leaves shift-clicks alone, so inspecting doesn't also grab the body.
+    attach(canvas) {
+        canvas.addEventListener('click', (e) => {
+            if (!e.shiftKey) return;
+            const rect = canvas.getBoundingClientRect();
+            this.inspect(new Vector2(e.clientX - rect.left, e.clientY - rect.top));
+            this.renderer.render();
+        });
+    }
+    
+    render() {
+        const engine = this.engine;
+        const layers = this.layers;
+        
+        if (layers.aabbs) {
+            for (const body of engine.bodies) {
+                this.renderAABB(body);
+            }
+        }
+        if (layers.sleep) {
+            for (const body of engine.bodies) {
+                this.renderSleepState(body);
+            }
+        }
+        if (layers.velocities) {
+            for (const body of engine.bodies) {
+                if (!body.isStatic) this.renderArrow(body.position, Vector2.multiply(body.velocity, engine.hz * this.velocityScale), 'yellow');
+            }
+        }
+        
+        for (const contact of [...engine.contacts, ...engine.sensorContacts]) {
+            this.renderContact(contact);
+        }
+        
+        if (this.inspectedBody) {
+            this.renderInspector(this.inspectedBody);
+        }
+    }
+    
+    renderAABB(body) {
+        const ctx = this.ctx;
+        const aabb = body.getAABB();
+        ctx.strokeStyle = 'rgba(0, 255, 0, 0.6)';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(aabb.minX, aabb.minY, aabb.maxX - aabb.minX, aabb.maxY - aabb.minY);
+    }
+    
+    // Asleep bodies get a blue ring; awake ones a ring that fills up as
+    // they stay still long enough to fall asleep
+    renderSleepState(body) {
+        if (body.isStatic || body.isKinematic) return;
+        
+        const ctx = this.ctx;
+        const radius = body.boundingRadius + 3;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        if (body.isSleeping) {
+            ctx.strokeStyle = '#4080ff';
+            ctx.arc(body.position.x, body.position.y, radius, 0, 2 * Math.PI);
+        } else {
+            const progress = Math.min(1, body.sleepTime / this.engine.timeToSleep);
+            if (progress === 0) return;
+            ctx.strokeStyle = 'rgba(64, 128, 255, 0.5)';
+            ctx.arc(body.position.x, body.position.y, radius, -Math.PI / 2, -Math.PI / 2 + progress * 2 * Math.PI);
+        }
+        ctx.stroke();
+    }
+    
+    renderContact(contact) {
+        const ctx = this.ctx;
+        const engine = this.engine;
+        const layers = this.layers;
+        
+        for (let i = 0; i < contact.contactPoints.length; i++) {
+            const point = contact.contactPoints[i];
+            
+            if (layers.contacts) {
+                ctx.fillStyle = contact.isSensor ? 'rgba(255, 0, 0, 0.4)' : 'red';
+                ctx.beginPath();
+                ctx.arc(point.x, point.y, 3, 0, 2 * Math.PI);
+                ctx.fill();
+            }
+            if (contact.isSensor) continue;
+            
+            if (layers.normals) {
+                this.renderLine(point, Vector2.multiply(contact.normal, 15), 'cyan');
+                this.renderLine(point, Vector2.multiply(contact.tangent, 10), 'magenta');
+            }
+            if (layers.forces && contact.normalForceMagnitudes[i] > 0) {
+                // Pushing B away from A, along the normal
+                const force = contact.normalForceMagnitudes[i] * engine.hz * engine.hz;
+                this.renderArrow(point, Vector2.multiply(contact.normal, force * this.forceScale), 'orange');
+            }
+            if (layers.penetrations && contact.penetrations[i] > 0) {
+                // How deep the point lies inside A, drawn to scale back along the normal
+                this.renderLine(point, Vector2.multiply(contact.normal, -contact.penetrations[i]), 'red', 3);
+                this.renderLabel(point, contact.penetrations[i].toFixed(2), 'red', 6, -6);
+            }
+            if (layers.collisionMasses) {
+                this.renderLabel(point, `m ${contact.collisionMasses[i].toFixed(2)}`, '#80ff80', 6, 12);
+            }
+        }
+        
+        if (layers.restingVelocities && !contact.isSensor) {
+            const cache = engine.getContactCache(contact.bodyA, contact.bodyB);
+            if (cache) {
+                const scale = engine.hz * this.velocityScale;
+                this.renderArrow(contact.bodyA.position, Vector2.multiply(cache.restingVelocityA, scale), '#ff60ff');
+                this.renderArrow(contact.bodyB.position, Vector2.multiply(cache.restingVelocityB, scale), '#ff60ff');
+            }
+        }
+    }
+    
+    renderInspector(body) {
+        const engine = this.engine;
+        const format = (v) => `${v.x.toFixed(3)}, ${v.y.toFixed(3)}`;
+        const lines = [
+            `Body ${body.id} (${body.shapeType}${body.isStatic ? ', static' : ''}${body.isKinematic ? ', kinematic' : ''}${body.isSensor ? ', sensor' : ''})`,
+            `mass ${body.mass.toFixed(3)}  inertia ${body.inertia.toFixed(1)}`,
+            `material ${body.material.name}  density ${body.density}`,
+            `position ${format(body.position)}  angle ${body.angle.toFixed(3)}`,
+            `velocity ${format(engine.getBodyVelocity(body))} px/s`,
+            `angular velocity ${engine.getBodyAngularVelocity(body).toFixed(3)} rad/s`,
+            `delta velocity ${format(body.deltaVelocity)}`,
+            `${body.isSleeping ? 'asleep' : 'awake'}  still for ${body.sleepTime} ticks  island of ${body.island ? body.island.length : 1}`
+        ];
+        
+        for (const contact of engine.contacts) {
+            if (contact.bodyA !== body && contact.bodyB !== body) continue;
+            
+            const other = contact.bodyA === body ? contact.bodyB : contact.bodyA;
+            lines.push(`contact with ${other.id}${contact.enabled ? '' : ' (disabled)'}`);
+            for (let i = 0; i < contact.contactPoints.length; i++) {
+                lines.push(`  ${contact.featureIds[i]}: depth ${contact.penetrations[i].toFixed(3)}  normal impulse ${contact.normalForceMagnitudes[i].toFixed(4)}  mass ${contact.collisionMasses[i].toFixed(3)}`);
+            }
+            const cache = engine.getContactCache(contact.bodyA, contact.bodyB);
+            if (cache) {
+                const resting = contact.bodyA === body ? cache.restingVelocityA : cache.restingVelocityB;
+                lines.push(`  resting velocity ${format(resting)}`);
+            }
+        }
+        
+        const ctx = this.ctx;
+        ctx.font = '12px monospace';
+        const width = Math.max(...lines.map(line => ctx.measureText(line).width)) + 16;
+        const height = lines.length * 16 + 8;
+        const x = engine.worldWidth - width - 10;
+        const y = 10;
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.75)';
+        ctx.fillRect(x, y, width, height);
+        ctx.fillStyle = '#ffffff';
+        lines.forEach((line, i) => ctx.fillText(line, x + 8, y + 18 + i * 16));
+        
+        // Mark the inspected body
+        ctx.strokeStyle = '#ffffff';
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.arc(body.position.x, body.position.y, body.boundingRadius + 6, 0, 2 * Math.PI);
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+    
+    renderLine(from, offset, color, width = 1) {
+        const ctx = this.ctx;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = width;
+        ctx.beginPath();
+        ctx.moveTo(from.x, from.y);
+        ctx.lineTo(from.x + offset.x, from.y + offset.y);
+        ctx.stroke();
+    }
+    
+    renderArrow(from, offset, color) {
+        const length = Vector2.length(offset);
+        if (length < 1) return;
+        
+        this.renderLine(from, offset, color, 2);
+        const tip = Vector2.add(from, offset);
+        const back = Vector2.multiply(offset, -Math.min(6, length / 2) / length);
+        this.renderLine(tip, Vector2.add(back, Vector2.multiply(Vector2.perpendicular(back), 0.5)), color, 2);
+        this.renderLine(tip, Vector2.subtract(back, Vector2.multiply(Vector2.perpendicular(back), 0.5)), color, 2);
+    }
+    
+    renderLabel(point, text, color, dx, dy) {
+        const ctx = this.ctx;
+        ctx.font = '10px monospace';
+        ctx.fillStyle = color;
+        ctx.fillText(text, point.x + dx, point.y + dy);
+    }
+}
@@ -3,7 +3,7 @@
 let debug = 0;
 
 // Vector2 class for 2D math operations
-class Vector2 {
+export class Vector2 {
     constructor(x = 0, y = 0) {
         this.x = x;
         this.y = y;
@@ -43,14 +43,56 @@ class Vector2 {
         return Math.sqrt(v.x * v.x + v.y * v.y);
     }
     
+    static rotate(v, angle) {
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        return new Vector2(v.x * cos - v.y * sin, v.x * sin + v.y * cos);
+    }
+    
     copy() {
         return new Vector2(this.x, this.y);
     }
 }
 
-// Rectangle physics body
-class Rectangle {
-    constructor(x, y, width, height, mass = 1.0, isStatic = false) {
+// Surface and bulk properties shared by bodies. Friction coefficients and
+// restitution of two touching bodies are combined by the engine's
+// frictionCombine and restitutionCombine modes. density is what
+// Body.setMaterial rescales a body's mass to.
+export class Material {
+    constructor(name, { density = 0.001, staticFriction = 0.6, dynamicFriction = 0.4, restitution = 0 } = {}) {
+        this.name = name;
+        this.density = density;
+        this.staticFriction = staticFriction;
+        this.dynamicFriction = dynamicFriction;
+        this.restitution = restitution;
+    }
+    
+    static library = {};
+    
+    static register(material) {
+        Material.library[material.name] = material;
+        return material;
+    }
+    
+    static get(name) {
+        const material = Material.library[name];
+        if (!material) {
+            throw new Error(`Unknown material ${name}`);
+        }
+        return material;
+    }
+}
+
+Material.register(new Material('default'));
+Material.register(new Material('static', { staticFriction: 0.9, dynamicFriction: 0.7 }));
+Material.register(new Material('ice', { density: 0.0009, staticFriction: 0.1, dynamicFriction: 0.03 }));
+Material.register(new Material('wood', { density: 0.0007, staticFriction: 0.5, dynamicFriction: 0.3, restitution: 0.2 }));
+Material.register(new Material('metal', { density: 0.003, staticFriction: 0.4, dynamicFriction: 0.25, restitution: 0.1 }));
+Material.register(new Material('rubber', { density: 0.0012, staticFriction: 0.9, dynamicFriction: 0.8, restitution: 0.8 }));
+
+// State shared by all physics bodies; subclasses provide the shape and mass
+export class Body {
+    constructor(x, y, isStatic = false) {
         this.position = new Vector2(x, y);
         this.velocity = new Vector2(0, 0);
         this.deltaVelocity = new Vector2(0, 0);
@@ -59,87 +101,417 @@ class Rectangle {
         this.angularVelocity = 0;
         this.deltaAngularVelocity = 0;
         
-        this.width = width;
-        this.height = height;
-        
         this.isStatic = isStatic;
-        this.mass = isStatic ? Infinity : mass;
-        this.invMass = isStatic ? 0 : 1.0 / mass;
         
-        // Moment of inertia for rectangle: (1/12) * mass * (width² + height²)
-        this.inertia = isStatic ? Infinity : (mass * (width * width + height * height)) / 12.0;
-        this.invInertia = isStatic ? 0 : 1.0 / this.inertia;
+        // Multiplies the engine's gravity for this body alone, see PhysicsEngine.applyForces
+        this.gravityScale = 1;
+        
+        // Kinematic bodies move by their velocity, or along kinematicPath, but
+        // nothing pushes them; see setKinematic and PhysicsEngine.driveKinematicBodies
+        this.isKinematic = false;
+        this.kinematicPath = null;
+        
+        // Bullets are swept over each tick so they can't tunnel, see PhysicsEngine.solveTimeOfImpact
+        this.isBullet = false;
+        
+        // Collision filtering, see PhysicsEngine.shouldCollide. A body is in
+        // the layers set in its category and collides with the layers set in
+        // its mask; bodies sharing a non-zero group always collide if it is
+        // positive and never if it is negative.
+        this.collisionCategory = 0x0001;
+        this.collisionMask = 0xFFFF;
+        this.collisionGroup = 0;
+        
+        // Sensors report overlaps in PhysicsEngine.sensorContacts but are never solved
+        this.isSensor = false;
+        
+        // Pose before the last tick, see PhysicsEngine.update
+        this.previousPosition = null;
+        this.previousAngle = null;
+        
+        // Sleep state, see PhysicsEngine.updateSleep
+        this.isSleeping = false;
+        this.sleepTime = 0; // ticks spent below the sleep velocity thresholds
+        this.island = null;
+        
+        // Joints attached to this body, see PhysicsEngine.addJoint
+        this.joints = [];
 
-        // Friction coefficients
-        //this.staticFriction = isStatic ? 0.9 : 0.6;
-        //this.dynamicFriction = isStatic ? 0.7 : 0.4;
-        this.staticFriction = isStatic ? 0.9 : 0.6;
-        this.dynamicFriction = isStatic ? 0.7 : 0.4;
+        // Friction and restitution, see setMaterial
+        this.material = Material.get(isStatic ? 'static' : 'default');
         
-        this.id = Rectangle.nextId++;
-        this.color = this.generateRandomColor();
+        this.id = null; // numbered by the engine the body is added to, see PhysicsEngine.addBody
+        this.color = null; // picked by the engine from its own random stream, see PhysicsEngine.addBody
+    }
+
+    // Kinematic bodies keep the mass they would have as dynamic bodies, so
+    // they can be switched back, but impulses see them as infinitely heavy
+    setMassData(mass, inertia) {
+        this.mass = this.isStatic ? Infinity : mass;
+        this.invMass = this.isStatic || this.isKinematic ? 0 : 1.0 / mass;
+        this.inertia = this.isStatic ? Infinity : inertia;
+        this.invInertia = this.isStatic || this.isKinematic ? 0 : 1.0 / inertia;
+    }
+    
+    // Mass and inertia for the body's shape at its current density
+    computeMass() {
+        throw new Error(`${this.constructor.name} does not compute its mass`);
+    }
+    
+    updateMass() {
+        const { mass, inertia } = this.computeMass();
+        this.setMassData(mass, inertia);
+    }
+    
+    // Keeps the shape and changes the density to match
+    setMass(mass) {
+        this.density = mass / this.area;
+        this.updateMass();
+    }
+    
+    setStatic(isStatic) {
+        this.isStatic = isStatic;
+        this.isSleeping = false;
+        this.sleepTime = 0;
+        if (isStatic) {
+            this.isKinematic = false;
+            this.kinematicPath = null;
+            this.velocity = new Vector2(0, 0);
+            this.angularVelocity = 0;
+        }
+        this.updateMass();
+    }
+    
+    setKinematic(isKinematic = true, path = null) {
+        this.isKinematic = isKinematic;
+        this.kinematicPath = isKinematic ? path : null;
+        this.isSleeping = false;
+        this.setMassData(this.mass, this.inertia);
     }
     
-    static nextId = 0;
+    // Takes a Material or the name of a registered one. Mass and inertia are
+    // linear in density, so they are rescaled to the material's density.
+    setMaterial(material) {
+        if (typeof material === 'string') {
+            material = Material.get(material);
+        }
+        this.material = material;
+        
+        if (!this.isStatic) {
+            const scale = material.density / this.density;
+            this.setMassData(this.mass * scale, this.inertia * scale);
+        }
+        this.density = material.density;
+    }
     
-    generateRandomColor() {
+    generateRandomColor(random) {
         if (this.isStatic) return '#444444';
         const hue = random() * 360;
         return `hsl(${hue}, 70%, 60%)`;
     }
     
+    applyImpulse(impulse, contactPoint) {
+        if (this.isStatic) return;
+        
+        this.velocity = Vector2.add(this.velocity, Vector2.multiply(impulse, this.invMass));
+        
+        const r = Vector2.subtract(contactPoint, this.position);
+        const torque = Vector2.cross(r, impulse);
+        this.angularVelocity += torque * this.invInertia;
+    }
+    
+    getVelocityAtPoint(point) {
+        const r = Vector2.subtract(point, this.position);
+        const tangentialVel = new Vector2(-r.y * this.angularVelocity, r.x * this.angularVelocity);
+        return Vector2.add(this.velocity, tangentialVel);
+    }
+}
+
+// Convex polygon physics body built from a local vertex list
+export class Polygon extends Body {
+    constructor(x, y, vertices, density = 0.001, isStatic = false) {
+        if (vertices.length < 3) {
+            throw new Error('Polygon needs at least 3 vertices');
+        }
+
+        // Vertices are given relative to (x, y) and re-centered on the centroid,
+        // so that position is always the center of mass
+        const massData = Polygon.computeMassData(vertices);
+        super(x + massData.centroid.x, y + massData.centroid.y, isStatic);
+
+        this.shapeType = 'polygon';
+        this.localVertices = massData.vertices;
+        this.area = massData.area;
+        this.unitInertia = massData.inertia; // moment of inertia at density 1
+        this.density = density;
+        this.boundingRadius = Math.max(...this.localVertices.map(v => Vector2.length(v)));
+        
+        this.updateMass();
+    }
+    
+    computeMass() {
+        return { mass: this.density * this.area, inertia: this.density * this.unitInertia };
+    }
+    
+    // Scales the polygon about its center of mass, keeping its density
+    setSize(scale) {
+        this.localVertices = this.localVertices.map(v => Vector2.multiply(v, scale));
+        this.area *= scale * scale;
+        this.unitInertia *= scale * scale * scale * scale;
+        this.boundingRadius *= scale;
+        this.updateMass();
+    }
+
+    // Regular polygon with the given number of sides, centered on (x, y)
+    static regular(x, y, sides, radius, density = 0.001, isStatic = false) {
+        const vertices = [];
+        for (let i = 0; i < sides; i++) {
+            const angle = (i / sides) * 2 * Math.PI;
+            vertices.push(new Vector2(Math.cos(angle) * radius, Math.sin(angle) * radius));
+        }
+        return new Polygon(x, y, vertices, density, isStatic);
+    }
+
+    // Area, centroid and unit-density moment of inertia about the centroid.
+    // Returned vertices are centered on the centroid and wound so that the
+    // signed area is positive, which is what isPointInRectangle expects.
+    // Throws for vertices that don't describe a convex polygon, which the
+    // narrow phase would silently get wrong.
+    static computeMassData(vertices) {
+        let signedArea = 0;
+        let centroid = new Vector2(0, 0);
+        for (let i = 0; i < vertices.length; i++) {
+            const v1 = vertices[i];
+            const v2 = vertices[(i + 1) % vertices.length];
+            const cross = Vector2.cross(v1, v2);
+            signedArea += cross * 0.5;
+            centroid = Vector2.add(centroid, Vector2.multiply(Vector2.add(v1, v2), cross));
+        }
+        if (Math.abs(signedArea) < 1e-9) {
+            throw new Error('Polygon has zero area');
+        }
+        centroid = Vector2.multiply(centroid, 1.0 / (6.0 * signedArea));
+
+        let localVertices = vertices.map(v => Vector2.subtract(v, centroid));
+        if (signedArea < 0) {
+            localVertices = localVertices.reverse();
+        }
+        if (!Polygon.isConvex(localVertices)) {
+            throw new Error('Polygon must be convex');
+        }
+
+        // Sum of the inertia of the triangles fanned out from the centroid
+        let inertia = 0;
+        for (let i = 0; i < localVertices.length; i++) {
+            const v1 = localVertices[i];
+            const v2 = localVertices[(i + 1) % localVertices.length];
+            const cross = Vector2.cross(v1, v2);
+            inertia += cross * (Vector2.dot(v1, v1) + Vector2.dot(v1, v2) + Vector2.dot(v2, v2)) / 12.0;
+        }
+
+        return { vertices: localVertices, centroid, area: Math.abs(signedArea), inertia };
+    }
+    
+    // For counter-clockwise vertices: every corner turns left (or goes
+    // straight on), and the turns add up to one full circle, so the outline
+    // doesn't wind round twice like a star
+    static isConvex(vertices) {
+        let turning = 0;
+        for (let i = 0; i < vertices.length; i++) {
+            const edge1 = Vector2.subtract(vertices[(i + 1) % vertices.length], vertices[i]);
+            const edge2 = Vector2.subtract(vertices[(i + 2) % vertices.length], vertices[(i + 1) % vertices.length]);
+            const cross = Vector2.cross(edge1, edge2);
+            if (cross < -1e-9 * Vector2.length(edge1) * Vector2.length(edge2)) return false;
+            turning += Math.atan2(cross, Vector2.dot(edge1, edge2));
+        }
+        return Math.abs(turning - 2 * Math.PI) < 1e-6;
+    }
+    
     getVertices() {
         const cos = Math.cos(this.angle);
         const sin = Math.sin(this.angle);
-        const halfW = this.width / 2;
-        const halfH = this.height / 2;
-        
-        const vertices = [
-            new Vector2(-halfW, -halfH),
-            new Vector2(halfW, -halfH),
-            new Vector2(halfW, halfH),
-            new Vector2(-halfW, halfH)
-        ];
         
         // Rotate and translate vertices
-        return vertices.map(v => {
+        return this.localVertices.map(v => {
             const rotatedX = v.x * cos - v.y * sin;
             const rotatedY = v.x * sin + v.y * cos;
             return new Vector2(rotatedX + this.position.x, rotatedY + this.position.y);
         });
     }
     
-    applyImpulse(impulse, contactPoint) {
-        if (this.isStatic) return;
+    getAABB() {
+        const vertices = this.getVertices();
+        const aabb = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+        for (const vertex of vertices) {
+            aabb.minX = Math.min(aabb.minX, vertex.x);
+            aabb.minY = Math.min(aabb.minY, vertex.y);
+            aabb.maxX = Math.max(aabb.maxX, vertex.x);
+            aabb.maxY = Math.max(aabb.maxY, vertex.y);
+        }
+        return aabb;
+    }
+}
+
+// Rectangle physics body
+export class Rectangle extends Polygon {
+    constructor(x, y, width, height, mass = 1.0, isStatic = false) {
+        const halfW = width / 2;
+        const halfH = height / 2;
+        super(x, y, [
+            new Vector2(-halfW, -halfH),
+            new Vector2(halfW, -halfH),
+            new Vector2(halfW, halfH),
+            new Vector2(-halfW, halfH)
+        ], mass / (width * height), isStatic);
         
-        this.velocity = Vector2.add(this.velocity, Vector2.multiply(impulse, this.invMass));
+        this.width = width;
+        this.height = height;
         
-        const r = Vector2.subtract(contactPoint, this.position);
-        const torque = Vector2.cross(r, impulse);
-        this.angularVelocity += torque * this.invInertia;
+        // Mass is given directly rather than derived from density.
+        // Moment of inertia for rectangle: (1/12) * mass * (width² + height²)
+        this.setMassData(mass, (mass * (width * width + height * height)) / 12.0);
     }
     
-    getVelocityAtPoint(point) {
-        const r = Vector2.subtract(point, this.position);
-        const tangentialVel = new Vector2(-r.y * this.angularVelocity, r.x * this.angularVelocity);
-        return Vector2.add(this.velocity, tangentialVel);
+    computeMass() {
+        const mass = this.density * this.width * this.height;
+        return { mass, inertia: (mass * (this.width * this.width + this.height * this.height)) / 12.0 };
+    }
+    
+    // Keeps the density, so the mass changes with the area
+    setSize(width, height) {
+        const halfW = width / 2;
+        const halfH = height / 2;
+        this.localVertices = [
+            new Vector2(-halfW, -halfH),
+            new Vector2(halfW, -halfH),
+            new Vector2(halfW, halfH),
+            new Vector2(-halfW, halfH)
+        ];
+        this.width = width;
+        this.height = height;
+        this.area = width * height;
+        this.unitInertia = (width * height * (width * width + height * height)) / 12.0;
+        this.boundingRadius = Math.sqrt(halfW * halfW + halfH * halfH);
+        this.updateMass();
+    }
+}
+
+// Circle physics body
+export class Circle extends Body {
+    constructor(x, y, radius, density = 0.001, isStatic = false) {
+        super(x, y, isStatic);
+
+        this.shapeType = 'circle';
+        this.radius = radius;
+        this.area = Math.PI * radius * radius;
+        this.density = density;
+        this.boundingRadius = radius;
+        this.updateMass();
+    }
+    
+    // Moment of inertia for circle: (1/2) * mass * radius²
+    computeMass() {
+        const mass = this.density * this.area;
+        return { mass, inertia: 0.5 * mass * this.radius * this.radius };
+    }
+    
+    // Keeps the density, so the mass changes with the area
+    setSize(radius) {
+        this.radius = radius;
+        this.area = Math.PI * radius * radius;
+        this.boundingRadius = radius;
+        this.updateMass();
+    }
+    
+    getAABB() {
+        return {
+            minX: this.position.x - this.radius,
+            minY: this.position.y - this.radius,
+            maxX: this.position.x + this.radius,
+            maxY: this.position.y + this.radius
+        };
+    }
+}
+
+// Capsule physics body: a segment of the given length along the local x axis,
+// swept by a circle of the given radius
+export class Capsule extends Body {
+    constructor(x, y, length, radius, density = 0.001, isStatic = false) {
+        if (length <= 0) {
+            throw new Error('Capsule length must be positive, use a Circle instead');
+        }
+        super(x, y, isStatic);
+
+        this.shapeType = 'capsule';
+        this.length = length;
+        this.radius = radius;
+        this.area = 2 * radius * length + Math.PI * radius * radius;
+        this.density = density;
+        this.boundingRadius = length / 2 + radius;
+        this.updateMass();
+    }
+    
+    // Moment of inertia of the box part plus the two half-disc caps, each cap
+    // shifted from the center by length / 2 plus its own centroid offset
+    computeMass() {
+        const { density, length, radius } = this;
+        const boxMass = density * 2 * radius * length;
+        const capMass = density * Math.PI * radius * radius;
+        const capOffset = (4 * radius) / (3 * Math.PI);
+        const boxInertia = (boxMass * (length * length + 4 * radius * radius)) / 12.0;
+        const capInertia = capMass * (radius * radius / 2 + length * length / 4 + length * capOffset);
+        return { mass: boxMass + capMass, inertia: boxInertia + capInertia };
+    }
+    
+    // Keeps the density, so the mass changes with the area
+    setSize(length, radius = this.radius) {
+        if (length <= 0) {
+            throw new Error('Capsule length must be positive, use a Circle instead');
+        }
+        this.length = length;
+        this.radius = radius;
+        this.area = 2 * radius * length + Math.PI * radius * radius;
+        this.boundingRadius = length / 2 + radius;
+        this.updateMass();
+    }
+
+    // World space end points of the capsule's core segment
+    getSegment() {
+        const halfAxis = new Vector2(Math.cos(this.angle) * this.length / 2, Math.sin(this.angle) * this.length / 2);
+        return [Vector2.subtract(this.position, halfAxis), Vector2.add(this.position, halfAxis)];
+    }
+    
+    getAABB() {
+        const [start, end] = this.getSegment();
+        return {
+            minX: Math.min(start.x, end.x) - this.radius,
+            minY: Math.min(start.y, end.y) - this.radius,
+            maxX: Math.max(start.x, end.x) + this.radius,
+            maxY: Math.max(start.y, end.y) + this.radius
+        };
     }
 }
 
 // Collision contact information
-class Contact {
-    constructor(bodyA, bodyB, contactPoints, normal, penetrations) {
+export class Contact {
+    constructor(bodyA, bodyB, contactPoints, normal, penetrations, featureIds = contactPoints.map((point, i) => `${i}`)) {
         this.bodyA = bodyA;
         this.bodyB = bodyB;
         this.contactPoints = contactPoints; // Array of contact points, one per contact point
         this.normal = normal;
         this.tangent = Vector2.normalize(Vector2.perpendicular(normal));
         this.penetrations = penetrations; // Array of penetrations, one per contact point
+        this.featureIds = featureIds; // Array of ids naming the features that made each point, stable across frames
         this.collisionMasses = []; // Array of collision masses, one per contact point
         this.tangentialCollisionMasses = []; // Array of tangential collision masses
         this.collisionMassesCalculated = []; // Array of booleans, one per contact point
         this.tangentialCollisionMassesCalculated = []; // Array of booleans for tangential
         this.normalForceMagnitudes = []; // Array to store normal force magnitudes from resting phase
+        this.normalImpulses = []; // Accumulated resting normal impulse per point, carried across frames
+        this.tangentImpulses = []; // Accumulated resting friction impulse per point, carried across frames
+        this.material = null; // Combined friction and restitution of the two bodies, see PhysicsEngine.combineMaterials
+        this.restitutionBiases = []; // Separating speed per point that restitution asks for, see PhysicsEngine.calculateRestitutionBiases
+        this.enabled = true; // cleared by a 'preSolve' listener to leave the contact unsolved this tick
 
         // Initialize arrays
         for (let i = 0; i < contactPoints.length; i++) {
@@ -148,12 +520,15 @@ class Contact {
             this.collisionMassesCalculated.push(false);
             this.tangentialCollisionMassesCalculated.push(false);
             this.normalForceMagnitudes.push(0);
+            this.normalImpulses.push(0);
+            this.tangentImpulses.push(0);
+            this.restitutionBiases.push(0);
         }
     }
 }
 
 // Persistent contact cache entry
-class ContactCache {
+export class ContactCache {
     constructor(bodyA, bodyB) {
         this.bodyA = bodyA;
         this.bodyB = bodyB;
@@ -161,6 +536,7 @@ class ContactCache {
         this.restingVelocityB = new Vector2(0, 0);
         this.restingAngularVelocityA = 0;
         this.restingAngularVelocityB = 0;
+        this.pointImpulses = new Map(); // featureId -> { normalImpulse, tangentImpulse } for warm starting
         this.lastUpdateTime = 0;
         this.key = this.generateKey(bodyA, bodyB);
     }
@@ -172,8 +548,47 @@ class ContactCache {
     }
 }
 
+// Pose of a kinematic body over time, interpolated linearly between
+// waypoints { time, x, y, angle } given in seconds since the path started.
+// A looping path repeats every last-waypoint time; otherwise the body stays
+// at the last waypoint. Paths are plain data so scenes can save them.
+export class KinematicPath {
+    constructor(waypoints, { loop = true, startTime = 0 } = {}) {
+        if (waypoints.length === 0) {
+            throw new Error('A kinematic path needs at least one waypoint');
+        }
+        this.waypoints = waypoints.map(({ time, x, y, angle = 0 }) => ({ time, x, y, angle }));
+        this.loop = loop;
+        this.startTime = startTime; // engine time in seconds the path starts at, see PhysicsEngine.setKinematicPath
+    }
+    
+    getPose(time) {
+        const waypoints = this.waypoints;
+        const duration = waypoints[waypoints.length - 1].time;
+        let t = time - this.startTime;
+        if (this.loop && duration > 0) {
+            t = ((t % duration) + duration) % duration;
+        }
+        
+        if (t <= waypoints[0].time) return waypoints[0];
+        for (let i = 1; i < waypoints.length; i++) {
+            const from = waypoints[i - 1];
+            const to = waypoints[i];
+            if (t <= to.time) {
+                const f = to.time > from.time ? (t - from.time) / (to.time - from.time) : 1;
+                return {
+                    x: from.x + (to.x - from.x) * f,
+                    y: from.y + (to.y - from.y) * f,
+                    angle: from.angle + (to.angle - from.angle) * f
+                };
+            }
+        }
+        return waypoints[waypoints.length - 1];
+    }
+}
+
 // Deterministic random number generator using LCG
-class DeterministicRandom {
+export class DeterministicRandom {
         constructor(seed = 12345) {
             this.seed = seed;
         }
@@ -189,324 +604,2681 @@ class DeterministicRandom {
             this.seed = seed;
         }
     }
+
+// Joints connect two bodies. Anchors are stored in body-local coordinates;
+// prepare() turns them into world-space lever arms and position errors once
+// per tick, then solveVelocity() is called once per iteration and applies
+// impulses straight to the bodies' real velocities. Impulses are accumulated
+// so limits and motors can clamp the total, and so the engine can warm start
+// joints from the previous tick. Motor speeds are per second and motor
+// limits are forces or torques; prepare() converts them to the per-tick
+// speeds and impulses the solver works in, the way MouseJoint does.
+export class Joint {
+    constructor(bodyA, bodyB, anchorA, anchorB, options = {}) {
+        this.bodyA = bodyA;
+        this.bodyB = bodyB;
+        this.localAnchorA = Joint.toLocal(bodyA, anchorA);
+        this.localAnchorB = Joint.toLocal(bodyB, anchorB);
+        this.rA = new Vector2(0, 0);
+        this.rB = new Vector2(0, 0);
+        
+        // Jointed bodies usually overlap at the anchor, so they don't collide by default
+        this.collideConnected = options.collideConnected || false;
+        
+        this.id = null; // numbered by the engine, see PhysicsEngine.addJoint
+    }
     
-    // Global deterministic random instance
-    const detRandom = new DeterministicRandom();
+    // Fraction of the position error fed back as velocity each tick
+    static baumgarte = 0.2;
     
-    // Replace random() calls with this
-    function random() {
-        return detRandom.next();
+    static toLocal(body, point) {
+        return Vector2.rotate(Vector2.subtract(point, body.position), -body.angle);
     }
-
-// Main physics engine
-class PhysicsEngine {
-    constructor(worldWidth, worldHeight) {
-        this.worldWidth = worldWidth;
-        this.worldHeight = worldHeight;
-        this.hz = 60;
-        this.bodies = [];
-        this.contacts = [];
-        this.contactCache = new Map();
-        this.gravity = new Vector2(0, 1 / this.hz); // pixels/tick²
-        this.isPaused = false;
-        this.currentTime = 0;
-        this.cacheTimeout = this.hz * 0.5; // 0.5 seconds worth of ticks
-
-        // Mouse interaction state
-        this.mousePosition = new Vector2(0, 0);
-        this.grabbedBody = null;
-        this.grabOffset = new Vector2(0, 0);
-        this.isMouseDown = false;
-        
-        this.initializeWorld();
+    
+    // Gamma and bias rate of a soft constraint with the given spring
+    // frequency and damping ratio, for a time step of one tick
+    static softness(frequencyHz, dampingRatio, effectiveMass, hz) {
+        const omega = (2 * Math.PI * frequencyHz) / hz;
+        const stiffness = effectiveMass * omega * omega;
+        const damping = 2 * effectiveMass * dampingRatio * omega;
+        const gamma = damping + stiffness > 0 ? 1.0 / (damping + stiffness) : 0;
+        return { gamma, biasRate: stiffness * gamma };
     }
     
-    initializeWorld() {
-        // Create static ground
-        const ground = new Rectangle(this.worldWidth / 2, this.worldHeight - 25, this.worldWidth, 50, 1, true);
-        this.bodies.push(ground);
-        
-        // Create some random boxes
-        for (let i = 0; i < 1; i++) {
-            //this.addRandomBox();
-
-            const box = new Rectangle(200, 200, 50, 30, 1, false);
-            box.angle = 0.1;
-            this.bodies.push(box);
-        }
+    getAnchorA() {
+        return Vector2.add(this.bodyA.position, Vector2.rotate(this.localAnchorA, this.bodyA.angle));
     }
     
-    addRandomBox() {
-        const width = 30 + random() * 40;
-        const height = 30 + random() * 40;
-        const x = 200 + random() * 100;
-        const y = 50 + random() * 200;
-        const mass = 0.5 + random() * 2.0;
+    getAnchorB() {
+        return Vector2.add(this.bodyB.position, Vector2.rotate(this.localAnchorB, this.bodyB.angle));
+    }
+    
+    prepare(hz) {
+        this.rA = Vector2.rotate(this.localAnchorA, this.bodyA.angle);
+        this.rB = Vector2.rotate(this.localAnchorB, this.bodyB.angle);
+    }
+    
+    // Velocity of anchor B relative to anchor A
+    getRelativeVelocity() {
+        const velA = Vector2.add(this.bodyA.velocity, Vector2.multiply(Vector2.perpendicular(this.rA), this.bodyA.angularVelocity));
+        const velB = Vector2.add(this.bodyB.velocity, Vector2.multiply(Vector2.perpendicular(this.rB), this.bodyB.angularVelocity));
+        return Vector2.subtract(velB, velA);
+    }
+    
+    // Linear impulse at the anchors plus an angular impulse, acting on B and
+    // with the reaction on A
+    applyImpulse(linearImpulse, angularImpulse) {
+        const bodyA = this.bodyA;
+        const bodyB = this.bodyB;
+        bodyA.velocity = Vector2.subtract(bodyA.velocity, Vector2.multiply(linearImpulse, bodyA.invMass));
+        bodyA.angularVelocity -= (Vector2.cross(this.rA, linearImpulse) + angularImpulse) * bodyA.invInertia;
+        bodyB.velocity = Vector2.add(bodyB.velocity, Vector2.multiply(linearImpulse, bodyB.invMass));
+        bodyB.angularVelocity += (Vector2.cross(this.rB, linearImpulse) + angularImpulse) * bodyB.invInertia;
+    }
+    
+    // Impulse along an axis whose torque arms differ from the anchors
+    applyAxialImpulse(axis, impulse, leverA, leverB) {
+        const bodyA = this.bodyA;
+        const bodyB = this.bodyB;
+        const linearImpulse = Vector2.multiply(axis, impulse);
+        bodyA.velocity = Vector2.subtract(bodyA.velocity, Vector2.multiply(linearImpulse, bodyA.invMass));
+        bodyA.angularVelocity -= impulse * leverA * bodyA.invInertia;
+        bodyB.velocity = Vector2.add(bodyB.velocity, Vector2.multiply(linearImpulse, bodyB.invMass));
+        bodyB.angularVelocity += impulse * leverB * bodyB.invInertia;
+    }
+    
+    // Effective mass of the 2x2 point constraint shared by revolute and weld joints
+    preparePointConstraint() {
+        const { bodyA, bodyB, rA, rB } = this;
+        const mA = bodyA.invMass;
+        const mB = bodyB.invMass;
+        const iA = bodyA.invInertia;
+        const iB = bodyB.invInertia;
+        this.k11 = mA + mB + rA.y * rA.y * iA + rB.y * rB.y * iB;
+        this.k12 = -rA.y * rA.x * iA - rB.y * rB.x * iB;
+        this.k22 = mA + mB + rA.x * rA.x * iA + rB.x * rB.x * iB;
+        this.pointError = Vector2.subtract(Vector2.add(bodyB.position, rB), Vector2.add(bodyA.position, rA));
+    }
+    
+    solvePointConstraint() {
+        const cdot = this.getRelativeVelocity();
+        const bx = -(cdot.x + Joint.baumgarte * this.pointError.x);
+        const by = -(cdot.y + Joint.baumgarte * this.pointError.y);
         
-        const box = new Rectangle(x, y, width, height, mass, false);
-        // Add some initial random velocity
-        box.velocity.x = (random() - 0.5) * 1;
-        box.velocity.y = (random() - 0.5) * 5;
-        box.angularVelocity = (random() - 0.5) * 0.5;
+        let det = this.k11 * this.k22 - this.k12 * this.k12;
+        if (det !== 0) det = 1.0 / det;
+        const impulse = new Vector2(det * (this.k22 * bx - this.k12 * by), det * (this.k11 * by - this.k12 * bx));
         
-        this.bodies.push(box);
+        this.linearImpulse = Vector2.add(this.linearImpulse, impulse);
+        this.applyImpulse(impulse, 0);
     }
     
-    update() {
-        if (this.isPaused) return;
+    // One side of a limit. separation is the distance to the limit (negative
+    // once violated) and cdot its rate of change. The accumulated impulse only
+    // ever pushes away from the limit; a limit not yet reached may be closed
+    // within this tick but not overshot.
+    solveLimitSide(separation, cdot, accumulated, mass) {
+        const bias = separation > 0 ? separation : Joint.baumgarte * separation;
+        return Math.max(accumulated - mass * (cdot + bias), 0);
+    }
+    
+    warmStart() {}
+    
+    resetImpulses() {}
+    
+    solveVelocity() {}
+}
+
+// Pins two bodies together at a shared anchor and lets them rotate freely,
+// optionally within [lowerAngle, upperAngle] and driven by a motor.
+// motorSpeed is in radians/second, maxMotorTorque in mass * pixels²/second².
+export class RevoluteJoint extends Joint {
+    constructor(bodyA, bodyB, anchor, options = {}) {
+        super(bodyA, bodyB, anchor, anchor, options);
+        this.jointType = 'revolute';
+        this.referenceAngle = bodyB.angle - bodyA.angle;
         
-        this.currentTime += 1;
+        this.enableLimit = options.enableLimit || false;
+        this.lowerAngle = options.lowerAngle || 0;
+        this.upperAngle = options.upperAngle || 0;
         
-        // 1. Collision detection and contact generation
-        this.detectCollisions();
+        this.enableMotor = options.enableMotor || false;
+        this.motorSpeed = options.motorSpeed || 0;
+        this.maxMotorTorque = options.maxMotorTorque || 0;
         
-        // 2. Reset delta velocities
-        this.resetDeltaVelocities();
+        this.resetImpulses();
+    }
+    
+    resetImpulses() {
+        this.linearImpulse = new Vector2(0, 0);
+        this.motorImpulse = 0;
+        this.lowerImpulse = 0;
+        this.upperImpulse = 0;
+    }
+    
+    getJointAngle() {
+        return this.bodyB.angle - this.bodyA.angle - this.referenceAngle;
+    }
+    
+    prepare(hz) {
+        super.prepare(hz);
+        this.preparePointConstraint();
         
-        // 3. Apply continuous forces (gravity)
-        this.applyForces();
+        const invInertiaSum = this.bodyA.invInertia + this.bodyB.invInertia;
+        this.axialMass = invInertiaSum > 0 ? 1.0 / invInertiaSum : 0;
+        this.jointAngle = this.getJointAngle();
         
-        // 4. Move objects according to velocities
-        this.integrateMotion();
-        for (const contact of this.contacts) {
-            // Calculate collision mass for each contact point
-            for (let i = 0; i < contact.contactPoints.length; i++) {
-                this.calculateCollisionMass(contact, i);
-            }
+        this.motorSpeedPerTick = this.motorSpeed / hz;
+        this.maxMotorImpulse = this.maxMotorTorque / (hz * hz);
+    }
+    
+    warmStart() {
+        this.applyImpulse(this.linearImpulse, this.motorImpulse + this.lowerImpulse - this.upperImpulse);
+    }
+    
+    solveVelocity() {
+        const relativeSpeed = () => this.bodyB.angularVelocity - this.bodyA.angularVelocity;
+        
+        if (this.enableMotor) {
+            const oldImpulse = this.motorImpulse;
+            const impulse = -this.axialMass * (relativeSpeed() - this.motorSpeedPerTick);
+            this.motorImpulse = Math.max(-this.maxMotorImpulse, Math.min(this.maxMotorImpulse, oldImpulse + impulse));
+            this.applyImpulse(new Vector2(0, 0), this.motorImpulse - oldImpulse);
         }
         
-        // 5. Position correction (separate overlapping objects)
-        this.separateObjects();
+        if (this.enableLimit) {
+            let oldImpulse = this.lowerImpulse;
+            this.lowerImpulse = this.solveLimitSide(this.jointAngle - this.lowerAngle, relativeSpeed(), oldImpulse, this.axialMass);
+            this.applyImpulse(new Vector2(0, 0), this.lowerImpulse - oldImpulse);
+            
+            oldImpulse = this.upperImpulse;
+            this.upperImpulse = this.solveLimitSide(this.upperAngle - this.jointAngle, -relativeSpeed(), oldImpulse, this.axialMass);
+            this.applyImpulse(new Vector2(0, 0), -(this.upperImpulse - oldImpulse));
+        }
+        
+        this.solvePointConstraint();
+    }
+}
+
+// Keeps the anchors at a fixed distance. With frequencyHz > 0 the distance
+// becomes a damped spring around length instead, which can additionally be
+// kept within [minLength, maxLength] and driven by a motor along the axis.
+// motorSpeed is in pixels/second, maxMotorForce in mass * pixels/second².
+export class DistanceJoint extends Joint {
+    constructor(bodyA, bodyB, anchorA, anchorB, options = {}) {
+        super(bodyA, bodyB, anchorA, anchorB, options);
+        this.jointType = 'distance';
+        this.length = options.length !== undefined ? options.length : Vector2.length(Vector2.subtract(anchorB, anchorA));
         
-        // 6. Apply resting forces
-        this.applyRestingForces();
+        this.frequencyHz = options.frequencyHz || 0;
+        this.dampingRatio = options.dampingRatio || 0;
         
-        // 7. Measure error and correct
-        this.measureAndCorrectError();
+        this.enableLimit = options.enableLimit || false;
+        this.minLength = options.minLength !== undefined ? options.minLength : 0;
+        this.maxLength = options.maxLength !== undefined ? options.maxLength : Infinity;
         
-        // 8. Apply normal collision resolution
-        this.applyNormalCollision();
-
-        // 9. Handle mouse interactions
-        this.updateMouseInteraction();
-
-        // 10. Apply resting decay.
-        this.applyRestingDecay();
+        this.enableMotor = options.enableMotor || false;
+        this.motorSpeed = options.motorSpeed || 0;
+        this.maxMotorForce = options.maxMotorForce || 0;
         
-        // Clean up old cache entries
-        this.cleanupContactCache();
+        this.resetImpulses();
     }
     
-    detectCollisions() {
-        this.contacts = [];
+    resetImpulses() {
+        this.impulse = 0;
+        this.motorImpulse = 0;
+        this.lowerImpulse = 0;
+        this.upperImpulse = 0;
+    }
+    
+    isSpring() {
+        return this.frequencyHz > 0;
+    }
+    
+    prepare(hz) {
+        super.prepare(hz);
+        const { bodyA, bodyB, rA, rB } = this;
         
-        for (let i = 0; i < this.bodies.length; i++) {
-            for (let j = i + 1; j < this.bodies.length; j++) {
-                const bodyA = this.bodies[i];
-                const bodyB = this.bodies[j];
-                
-                const collision = this.checkSATCollision(bodyA, bodyB);
-                if (collision) {
-                    this.contacts.push(collision);
-                    
-                    // Update or create contact cache
-                    const cacheKey = new ContactCache(bodyA, bodyB).key;
-                    if (!this.contactCache.has(cacheKey)) {
-                        this.contactCache.set(cacheKey, new ContactCache(bodyA, bodyB));
+        const delta = Vector2.subtract(Vector2.add(bodyB.position, rB), Vector2.add(bodyA.position, rA));
+        this.currentLength = Vector2.length(delta);
+        this.axis = this.currentLength > 0 ? Vector2.multiply(delta, 1.0 / this.currentLength) : new Vector2(1, 0);
+        this.leverA = Vector2.cross(rA, this.axis);
+        this.leverB = Vector2.cross(rB, this.axis);
+        
+        const invMass = bodyA.invMass + bodyB.invMass +
+            this.leverA * this.leverA * bodyA.invInertia + this.leverB * this.leverB * bodyB.invInertia;
+        this.axialMass = invMass > 0 ? 1.0 / invMass : 0;
+        
+        this.motorSpeedPerTick = this.motorSpeed / hz;
+        this.maxMotorImpulse = this.maxMotorForce / (hz * hz);
+        
+        if (this.isSpring()) {
+            const soft = Joint.softness(this.frequencyHz, this.dampingRatio, this.axialMass, hz);
+            this.gamma = soft.gamma;
+            this.biasRate = soft.biasRate;
+            this.springMass = invMass + this.gamma > 0 ? 1.0 / (invMass + this.gamma) : 0;
+        }
+    }
+    
+    warmStart() {
+        const impulse = this.impulse + this.motorImpulse + this.lowerImpulse - this.upperImpulse;
+        this.applyAxialImpulse(this.axis, impulse, this.leverA, this.leverB);
+    }
+    
+    solveVelocity() {
+        const axialSpeed = () => Vector2.dot(this.axis, this.getRelativeVelocity());
+        const error = this.currentLength - this.length;
+        
+        if (this.isSpring()) {
+            const impulse = -this.springMass * (axialSpeed() + this.biasRate * error + this.gamma * this.impulse);
+            this.impulse += impulse;
+            this.applyAxialImpulse(this.axis, impulse, this.leverA, this.leverB);
+            
+            if (this.enableMotor) {
+                const oldImpulse = this.motorImpulse;
+                const motorImpulse = -this.axialMass * (axialSpeed() - this.motorSpeedPerTick);
+                this.motorImpulse = Math.max(-this.maxMotorImpulse, Math.min(this.maxMotorImpulse, oldImpulse + motorImpulse));
+                this.applyAxialImpulse(this.axis, this.motorImpulse - oldImpulse, this.leverA, this.leverB);
+            }
+        } else {
+            const impulse = -this.axialMass * (axialSpeed() + Joint.baumgarte * error);
+            this.impulse += impulse;
+            this.applyAxialImpulse(this.axis, impulse, this.leverA, this.leverB);
+        }
+        
+        if (this.enableLimit) {
+            let oldImpulse = this.lowerImpulse;
+            this.lowerImpulse = this.solveLimitSide(this.currentLength - this.minLength, axialSpeed(), oldImpulse, this.axialMass);
+            this.applyAxialImpulse(this.axis, this.lowerImpulse - oldImpulse, this.leverA, this.leverB);
+            
+            oldImpulse = this.upperImpulse;
+            this.upperImpulse = this.solveLimitSide(this.maxLength - this.currentLength, -axialSpeed(), oldImpulse, this.axialMass);
+            this.applyAxialImpulse(this.axis, -(this.upperImpulse - oldImpulse), this.leverA, this.leverB);
+        }
+    }
+}
+
+// Lets body B slide relative to body A along an axis fixed in A, with no
+// relative rotation. Translation can be limited to [lowerTranslation,
+// upperTranslation] and driven by a motor. motorSpeed is in pixels/second,
+// maxMotorForce in mass * pixels/second².
+export class PrismaticJoint extends Joint {
+    constructor(bodyA, bodyB, anchor, axis, options = {}) {
+        super(bodyA, bodyB, anchor, anchor, options);
+        this.jointType = 'prismatic';
+        this.localAxisA = Vector2.rotate(Vector2.normalize(axis), -bodyA.angle);
+        this.referenceAngle = bodyB.angle - bodyA.angle;
+        
+        this.enableLimit = options.enableLimit || false;
+        this.lowerTranslation = options.lowerTranslation || 0;
+        this.upperTranslation = options.upperTranslation || 0;
+        
+        this.enableMotor = options.enableMotor || false;
+        this.motorSpeed = options.motorSpeed || 0;
+        this.maxMotorForce = options.maxMotorForce || 0;
+        
+        this.resetImpulses();
+    }
+    
+    resetImpulses() {
+        this.perpendicularImpulse = 0;
+        this.angularImpulse = 0;
+        this.motorImpulse = 0;
+        this.lowerImpulse = 0;
+        this.upperImpulse = 0;
+    }
+    
+    prepare(hz) {
+        super.prepare(hz);
+        const { bodyA, bodyB, rA, rB } = this;
+        const mA = bodyA.invMass;
+        const mB = bodyB.invMass;
+        const iA = bodyA.invInertia;
+        const iB = bodyB.invInertia;
+        
+        // Body A's lever arm reaches to anchor B, since that is where B slides
+        const delta = Vector2.subtract(Vector2.add(bodyB.position, rB), Vector2.add(bodyA.position, rA));
+        const armA = Vector2.add(delta, rA);
+        
+        this.axis = Vector2.rotate(this.localAxisA, bodyA.angle);
+        this.axialLeverA = Vector2.cross(armA, this.axis);
+        this.axialLeverB = Vector2.cross(rB, this.axis);
+        const axialInvMass = mA + mB + this.axialLeverA * this.axialLeverA * iA + this.axialLeverB * this.axialLeverB * iB;
+        this.axialMass = axialInvMass > 0 ? 1.0 / axialInvMass : 0;
+        
+        this.perpendicular = Vector2.perpendicular(this.axis);
+        this.perpendicularLeverA = Vector2.cross(armA, this.perpendicular);
+        this.perpendicularLeverB = Vector2.cross(rB, this.perpendicular);
+        const perpendicularInvMass = mA + mB +
+            this.perpendicularLeverA * this.perpendicularLeverA * iA + this.perpendicularLeverB * this.perpendicularLeverB * iB;
+        this.perpendicularMass = perpendicularInvMass > 0 ? 1.0 / perpendicularInvMass : 0;
+        
+        this.angularMass = iA + iB > 0 ? 1.0 / (iA + iB) : 0;
+        
+        this.translation = Vector2.dot(this.axis, delta);
+        this.perpendicularError = Vector2.dot(this.perpendicular, delta);
+        this.angularError = bodyB.angle - bodyA.angle - this.referenceAngle;
+        
+        this.motorSpeedPerTick = this.motorSpeed / hz;
+        this.maxMotorImpulse = this.maxMotorForce / (hz * hz);
+    }
+    
+    getAxialSpeed(axis, leverA, leverB) {
+        return Vector2.dot(axis, Vector2.subtract(this.bodyB.velocity, this.bodyA.velocity)) +
+            leverB * this.bodyB.angularVelocity - leverA * this.bodyA.angularVelocity;
+    }
+    
+    warmStart() {
+        const axialImpulse = this.motorImpulse + this.lowerImpulse - this.upperImpulse;
+        this.applyAxialImpulse(this.axis, axialImpulse, this.axialLeverA, this.axialLeverB);
+        this.applyAxialImpulse(this.perpendicular, this.perpendicularImpulse, this.perpendicularLeverA, this.perpendicularLeverB);
+        this.applyImpulse(new Vector2(0, 0), this.angularImpulse);
+    }
+    
+    solveVelocity() {
+        const axialSpeed = () => this.getAxialSpeed(this.axis, this.axialLeverA, this.axialLeverB);
+        
+        if (this.enableMotor) {
+            const oldImpulse = this.motorImpulse;
+            const impulse = -this.axialMass * (axialSpeed() - this.motorSpeedPerTick);
+            this.motorImpulse = Math.max(-this.maxMotorImpulse, Math.min(this.maxMotorImpulse, oldImpulse + impulse));
+            this.applyAxialImpulse(this.axis, this.motorImpulse - oldImpulse, this.axialLeverA, this.axialLeverB);
+        }
+        
+        if (this.enableLimit) {
+            let oldImpulse = this.lowerImpulse;
+            this.lowerImpulse = this.solveLimitSide(this.translation - this.lowerTranslation, axialSpeed(), oldImpulse, this.axialMass);
+            this.applyAxialImpulse(this.axis, this.lowerImpulse - oldImpulse, this.axialLeverA, this.axialLeverB);
+            
+            oldImpulse = this.upperImpulse;
+            this.upperImpulse = this.solveLimitSide(this.upperTranslation - this.translation, -axialSpeed(), oldImpulse, this.axialMass);
+            this.applyAxialImpulse(this.axis, -(this.upperImpulse - oldImpulse), this.axialLeverA, this.axialLeverB);
+        }
+        
+        // No relative rotation
+        const angularSpeed = this.bodyB.angularVelocity - this.bodyA.angularVelocity;
+        const angularImpulse = -this.angularMass * (angularSpeed + Joint.baumgarte * this.angularError);
+        this.angularImpulse += angularImpulse;
+        this.applyImpulse(new Vector2(0, 0), angularImpulse);
+        
+        // No motion off the axis
+        const perpendicularSpeed = this.getAxialSpeed(this.perpendicular, this.perpendicularLeverA, this.perpendicularLeverB);
+        const perpendicularImpulse = -this.perpendicularMass * (perpendicularSpeed + Joint.baumgarte * this.perpendicularError);
+        this.perpendicularImpulse += perpendicularImpulse;
+        this.applyAxialImpulse(this.perpendicular, perpendicularImpulse, this.perpendicularLeverA, this.perpendicularLeverB);
+    }
+}
+
+// Glues two bodies together at an anchor. With frequencyHz > 0 the angular
+// part becomes a damped spring, for bendy structures.
+export class WeldJoint extends Joint {
+    constructor(bodyA, bodyB, anchor, options = {}) {
+        super(bodyA, bodyB, anchor, anchor, options);
+        this.jointType = 'weld';
+        this.referenceAngle = bodyB.angle - bodyA.angle;
+        this.frequencyHz = options.frequencyHz || 0;
+        this.dampingRatio = options.dampingRatio || 0;
+        
+        this.resetImpulses();
+    }
+    
+    resetImpulses() {
+        this.linearImpulse = new Vector2(0, 0);
+        this.angularImpulse = 0;
+    }
+    
+    prepare(hz) {
+        super.prepare(hz);
+        this.preparePointConstraint();
+        
+        const invInertiaSum = this.bodyA.invInertia + this.bodyB.invInertia;
+        this.angularMass = invInertiaSum > 0 ? 1.0 / invInertiaSum : 0;
+        this.angularError = this.bodyB.angle - this.bodyA.angle - this.referenceAngle;
+        
+        if (this.frequencyHz > 0) {
+            const soft = Joint.softness(this.frequencyHz, this.dampingRatio, this.angularMass, hz);
+            this.gamma = soft.gamma;
+            this.biasRate = soft.biasRate;
+            this.angularMass = invInertiaSum + this.gamma > 0 ? 1.0 / (invInertiaSum + this.gamma) : 0;
+        } else {
+            this.gamma = 0;
+            this.biasRate = Joint.baumgarte;
+        }
+    }
+    
+    warmStart() {
+        this.applyImpulse(this.linearImpulse, this.angularImpulse);
+    }
+    
+    solveVelocity() {
+        const angularSpeed = this.bodyB.angularVelocity - this.bodyA.angularVelocity;
+        const angularImpulse = -this.angularMass * (angularSpeed + this.biasRate * this.angularError + this.gamma * this.angularImpulse);
+        this.angularImpulse += angularImpulse;
+        this.applyImpulse(new Vector2(0, 0), angularImpulse);
+        
+        this.solvePointConstraint();
+    }
+}
+
+// Pulls a point on one body toward a target with a soft spring, the way a
+// mouse drag does. The pull is capped at maxForce (mass * pixels/second²),
+// so a held body gives way to what it is pushed against instead of being
+// forced through it. Spin is damped by a second, velocity-only spring, or
+// a body held off-centre would keep swinging round the cursor. It belongs
+// to whoever drives the target, usually an input controller, not to the
+// scene: the engine solves it with the joints but neither saves it nor
+// counts it for islands and collision filtering.
+export class MouseJoint {
+    constructor(body, anchor, options = {}) {
+        this.body = body;
+        this.localAnchor = Joint.toLocal(body, anchor);
+        this.target = new Vector2(anchor.x, anchor.y);
+        this.r = new Vector2(0, 0);
+        
+        this.frequencyHz = options.frequencyHz || 5;
+        this.dampingRatio = options.dampingRatio !== undefined ? options.dampingRatio : 0.7;
+        this.maxForce = options.maxForce !== undefined ? options.maxForce : Infinity;
+        
+        // Softer than the pull, so that two joints on one body can still turn it
+        this.angularFrequencyHz = options.angularFrequencyHz || 2;
+        
+        this.resetImpulses();
+    }
+    
+    getAnchor() {
+        return Vector2.add(this.body.position, Vector2.rotate(this.localAnchor, this.body.angle));
+    }
+    
+    resetImpulses() {
+        this.impulse = new Vector2(0, 0);
+        this.angularImpulse = 0;
+    }
+    
+    prepare(hz) {
+        const body = this.body;
+        const r = this.r = Vector2.rotate(this.localAnchor, body.angle);
+        
+        // The spring is tuned to the body's mass, so every body follows the
+        // cursor with the same frequency
+        const soft = Joint.softness(this.frequencyHz, this.dampingRatio, body.mass, hz);
+        this.gamma = soft.gamma;
+        this.biasRate = soft.biasRate;
+        
+        this.k11 = body.invMass + r.y * r.y * body.invInertia + this.gamma;
+        this.k12 = -r.y * r.x * body.invInertia;
+        this.k22 = body.invMass + r.x * r.x * body.invInertia + this.gamma;
+        this.error = Vector2.subtract(Vector2.add(body.position, r), this.target);
+        this.maxImpulse = this.maxForce / (hz * hz);
+        
+        const angularSoft = Joint.softness(this.angularFrequencyHz, this.dampingRatio, body.inertia, hz);
+        this.angularGamma = angularSoft.gamma;
+        this.angularMass = body.invInertia + this.angularGamma > 0 ? 1.0 / (body.invInertia + this.angularGamma) : 0;
+    }
+    
+    applyImpulse(impulse, angularImpulse) {
+        const body = this.body;
+        body.velocity = Vector2.add(body.velocity, Vector2.multiply(impulse, body.invMass));
+        body.angularVelocity += (Vector2.cross(this.r, impulse) + angularImpulse) * body.invInertia;
+    }
+    
+    warmStart() {
+        this.applyImpulse(this.impulse, this.angularImpulse);
+    }
+    
+    solveVelocity() {
+        const body = this.body;
+        
+        const angularImpulse = -this.angularMass * (body.angularVelocity + this.angularGamma * this.angularImpulse);
+        this.angularImpulse += angularImpulse;
+        this.applyImpulse(new Vector2(0, 0), angularImpulse);
+        
+        const cdot = Vector2.add(body.velocity, Vector2.multiply(Vector2.perpendicular(this.r), body.angularVelocity));
+        const bx = -(cdot.x + this.biasRate * this.error.x + this.gamma * this.impulse.x);
+        const by = -(cdot.y + this.biasRate * this.error.y + this.gamma * this.impulse.y);
+        
+        let det = this.k11 * this.k22 - this.k12 * this.k12;
+        if (det !== 0) det = 1.0 / det;
+        const impulse = new Vector2(det * (this.k22 * bx - this.k12 * by), det * (this.k11 * by - this.k12 * bx));
+        
+        // Clamp the accumulated impulse, not this pass's share of it
+        const oldImpulse = this.impulse;
+        this.impulse = Vector2.add(oldImpulse, impulse);
+        const length = Vector2.length(this.impulse);
+        if (length > this.maxImpulse) {
+            this.impulse = Vector2.multiply(this.impulse, this.maxImpulse / length);
+        }
+        this.applyImpulse(Vector2.subtract(this.impulse, oldImpulse), 0);
+    }
+}
+
+// Force generators run in the engine's force phase, after gravity, each tick.
+// apply() visits the bodies the generator affects, all of the engine's
+// unless a list is given, skipping those nothing can push (static and
+// kinematic) and those asleep, and calls applyTo() for each. They push bodies
+// through PhysicsEngine.applyForce and changeVelocity so the resting phases
+// see the change like they see gravity. A generator that sets isFinished is
+// dropped after the tick. Units follow the engine's settings: pixels and
+// seconds, forces in mass * pixels/second².
+export class ForceGenerator {
+    constructor({ bodies = null } = {}) {
+        this.bodies = bodies;
+        this.isFinished = false;
+    }
+    
+    apply(engine) {
+        for (const body of this.bodies || engine.bodies) {
+            if (body.invMass === 0 || body.isSleeping) continue;
+            this.applyTo(body, engine);
+        }
+    }
+    
+    applyTo(body, engine) {
+        throw new Error(`${this.constructor.name} does not apply a force`);
+    }
+}
+
+// Calls a user function with each affected body and the engine
+export class CallbackForce extends ForceGenerator {
+    constructor(callback, options = {}) {
+        super(options);
+        this.callback = callback;
+    }
+    
+    applyTo(body, engine) {
+        this.callback(body, engine);
+    }
+}
+
+// Slows linear and angular velocity by the given rates per second, in the
+// v / (1 + rate * dt) form, which stays stable for any rate
+export class DampingForce extends ForceGenerator {
+    constructor({ linear = 0, angular = 0, ...options } = {}) {
+        super(options);
+        this.linear = linear;
+        this.angular = angular;
+    }
+    
+    applyTo(body, engine) {
+        const linearFactor = 1 / (1 + this.linear / engine.hz) - 1;
+        const angularFactor = 1 / (1 + this.angular / engine.hz) - 1;
+        engine.changeVelocity(body, Vector2.multiply(body.velocity, linearFactor), body.angularVelocity * angularFactor);
+    }
+}
+
+// Quadratic air drag against the body's width, taken as its bounding
+// diameter: F = -coefficient * width * |v| * v
+export class DragForce extends ForceGenerator {
+    constructor({ coefficient = 0.0001, ...options } = {}) {
+        super(options);
+        this.coefficient = coefficient;
+    }
+    
+    applyTo(body, engine) {
+        const velocity = Vector2.multiply(body.velocity, engine.hz); // pixels/second
+        const speed = Vector2.length(velocity);
+        const width = 2 * body.boundingRadius;
+        engine.applyForce(body, Vector2.multiply(velocity, -this.coefficient * width * speed));
+    }
+}
+
+// Accelerates bodies towards (x, y) by strength pixels/second², or away
+// from it if strength is negative. Within radius the pull fades linearly to
+// zero at the edge with 'linear' falloff, or stays constant with 'none'.
+export class RadialForce extends ForceGenerator {
+    constructor({ x, y, strength, radius = Infinity, falloff = 'none', ...options }) {
+        super(options);
+        this.center = new Vector2(x, y);
+        this.strength = strength;
+        this.radius = radius;
+        this.falloff = falloff;
+    }
+    
+    applyTo(body, engine) {
+        const offset = Vector2.subtract(this.center, body.position);
+        const distance = Vector2.length(offset);
+        if (distance === 0 || distance > this.radius) return;
+        
+        const scale = this.falloff === 'linear' ? 1 - distance / this.radius : 1;
+        engine.applyForce(body, Vector2.multiply(offset, this.strength * scale * body.mass / distance));
+    }
+}
+
+// A one-off radial impulse of up to impulse mass * pixels/second, fading
+// linearly to zero at radius. It wakes what it reaches, applies on the next
+// tick and is then finished.
+export class ExplosionForce extends ForceGenerator {
+    constructor({ x, y, impulse, radius, ...options }) {
+        super(options);
+        this.center = new Vector2(x, y);
+        this.impulse = impulse;
+        this.radius = radius;
+    }
+    
+    apply(engine) {
+        for (const body of this.bodies || engine.bodies) {
+            if (Vector2.length(Vector2.subtract(body.position, this.center)) <= this.radius) {
+                engine.wakeBody(body);
+            }
+        }
+        super.apply(engine);
+        this.isFinished = true;
+    }
+    
+    applyTo(body, engine) {
+        const offset = Vector2.subtract(body.position, this.center);
+        const distance = Vector2.length(offset);
+        if (distance === 0 || distance > this.radius) return;
+        
+        const impulse = this.impulse * (1 - distance / this.radius) / engine.hz; // per tick
+        engine.changeVelocity(body, Vector2.multiply(offset, impulse * body.invMass / distance), 0);
+    }
+}
+
+// Fluid filling the box { minX, minY, maxX, maxY }, its surface at minY.
+// How much of a body is submerged is estimated from its AABB: it is pushed
+// up by the weight of the fluid it displaces, at the centroid of its outline
+// clipped to the fluid so tilted bodies right themselves, and slowed by
+// linear and angular drag rates per second in proportion to how deep it is.
+export class BuoyancyZone extends ForceGenerator {
+    constructor(aabb, { density = 0.0015, linearDrag = 2, angularDrag = 1, ...options } = {}) {
+        super(options);
+        this.aabb = aabb;
+        this.density = density;
+        this.linearDrag = linearDrag;
+        this.angularDrag = angularDrag;
+    }
+    
+    applyTo(body, engine) {
+        const bounds = body.getAABB();
+        if (!aabbOverlap(bounds, this.aabb)) return;
+        
+        const top = Math.max(bounds.minY, this.aabb.minY);
+        const bottom = Math.min(bounds.maxY, this.aabb.maxY);
+        const submerged = Math.max(0, bottom - top) / (bounds.maxY - bounds.minY);
+        if (submerged === 0) return;
+        
+        const displacedMass = this.density * body.area * submerged;
+        const buoyancy = Vector2.multiply(engine.getGravity(), -displacedMass);
+        engine.applyForce(body, buoyancy, this.getSubmergedCentroid(body, top, bottom));
+        
+        const drag = submerged / engine.hz;
+        engine.changeVelocity(body,
+            Vector2.multiply(body.velocity, -Math.min(1, this.linearDrag * drag)),
+            -body.angularVelocity * Math.min(1, this.angularDrag * drag));
+    }
+    
+    // Centroid of the body's outline between the heights top and bottom,
+    // circles and caps approximated by polygons
+    getSubmergedCentroid(body, top, bottom) {
+        const clipped = this.clipToHeight(this.clipToHeight(this.getOutline(body), top, 1), bottom, -1);
+        
+        let area = 0;
+        let centroid = new Vector2(0, 0);
+        for (let i = 0; i < clipped.length; i++) {
+            const a = clipped[i];
+            const b = clipped[(i + 1) % clipped.length];
+            const cross = Vector2.cross(a, b);
+            area += cross;
+            centroid = Vector2.add(centroid, Vector2.multiply(Vector2.add(a, b), cross));
+        }
+        if (Math.abs(area) < 1e-9) return new Vector2(body.position.x, (top + bottom) / 2);
+        return Vector2.multiply(centroid, 1 / (3 * area));
+    }
+    
+    getOutline(body) {
+        const segments = 16;
+        switch (body.shapeType) {
+            case 'circle':
+                return Array.from({ length: segments }, (_, i) => {
+                    const angle = (i / segments) * 2 * Math.PI;
+                    return new Vector2(body.position.x + Math.cos(angle) * body.radius, body.position.y + Math.sin(angle) * body.radius);
+                });
+            case 'capsule': {
+                // Half a circle around each end of the core segment
+                const ends = body.getSegment();
+                const outline = [];
+                for (let end = 0; end < 2; end++) {
+                    for (let i = 0; i <= segments / 2; i++) {
+                        const angle = body.angle + (end === 0 ? Math.PI / 2 : -Math.PI / 2) + (i / segments) * 2 * Math.PI;
+                        outline.push(new Vector2(ends[end].x + Math.cos(angle) * body.radius, ends[end].y + Math.sin(angle) * body.radius));
                     }
-                    this.contactCache.get(cacheKey).lastUpdateTime = this.currentTime;
+                }
+                return outline;
+            }
+            default:
+                return body.getVertices();
+        }
+    }
+    
+    // The part of the outline on the side of the horizontal line y = height
+    // where (y - height) * side >= 0
+    clipToHeight(vertices, height, side) {
+        const clipped = [];
+        for (let i = 0; i < vertices.length; i++) {
+            const a = vertices[i];
+            const b = vertices[(i + 1) % vertices.length];
+            const insideA = (a.y - height) * side >= 0;
+            const insideB = (b.y - height) * side >= 0;
+            if (insideA) clipped.push(a);
+            if (insideA !== insideB) {
+                const t = (height - a.y) / (b.y - a.y);
+                clipped.push(new Vector2(a.x + (b.x - a.x) * t, height));
+            }
+        }
+        return clipped;
+    }
+}
+
+// Per-tick solver diagnostics, collected while the engine has stats enabled,
+// see PhysicsEngine.setStatsEnabled. current is the last finished tick's
+// record and history the last historyLength records, oldest first. Phase
+// times are in milliseconds; velocities and energies use pixels/second.
+export class SolverStats {
+    static phases = ['detect', 'forces', 'integrate', 'separate', 'resting', 'errorCorrection', 'collision', 'sequential', 'sleep', 'events', 'cacheCleanup'];
+    
+    constructor(historyLength = 300) {
+        this.historyLength = historyLength;
+        this.history = [];
+        this.current = null;
+        this.tick = null; // record being filled in while a tick runs
+        this.lastMark = 0;
+    }
+    
+    static now() {
+        return performance.now();
+    }
+    
+    beginTick(time) {
+        const phases = {};
+        for (const name of SolverStats.phases) {
+            phases[name] = 0;
+        }
+        this.tick = {
+            time,
+            phases,
+            totalTime: 0,
+            bodyCount: 0,
+            awakeBodyCount: 0,
+            islandCount: 0,
+            pairCount: 0,
+            contactCount: 0,
+            awakeContactCount: 0,
+            contactPointCount: 0,
+            sensorContactCount: 0,
+            kineticEnergy: 0,
+            maxPenetration: 0,
+            errorCorrectionImpulse: 0, // total impulse measureAndCorrectError applied
+            restingVelocityDrift: 0 // largest resting velocity held in the contact cache
+        };
+        this.lastMark = SolverStats.now();
+    }
+    
+    // Charges the time since the last mark to the phase
+    mark(phase) {
+        const now = SolverStats.now();
+        this.tick.phases[phase] += now - this.lastMark;
+        this.lastMark = now;
+    }
+    
+    endTick() {
+        for (const name of SolverStats.phases) {
+            this.tick.totalTime += this.tick.phases[name];
+        }
+        this.current = this.tick;
+        this.tick = null;
+        
+        this.history.push(this.current);
+        if (this.history.length > this.historyLength) {
+            this.history.shift();
+        }
+    }
+}
+
+// Broad phases find the body pairs whose AABBs overlap, so that only those reach
+// the narrow phase. getPairs returns [i, j] index pairs with i < j, sorted the
+// same way the brute-force double loop visits them, which keeps contact order
+// (and therefore the simulation) identical whichever broad phase is used.
+// AABBs are grown by a small margin so touching shapes are never culled by rounding.
+function aabbOverlap(a, b) {
+    return a.minX <= b.maxX && a.maxX >= b.minX && a.minY <= b.maxY && a.maxY >= b.minY;
+}
+
+function getFattenedAABB(body, margin) {
+    const aabb = body.getAABB();
+    return {
+        minX: aabb.minX - margin,
+        minY: aabb.minY - margin,
+        maxX: aabb.maxX + margin,
+        maxY: aabb.maxY + margin
+    };
+}
+
+function sortPairs(pairs) {
+    return pairs.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+}
+
+// Scratch views for reading the bits of a double, see computeStateHash
+const hashFloat = new Float64Array(1);
+const hashWords = new Uint32Array(hashFloat.buffer);
+
+// Tests every pair, the reference the other broad phases must match
+export class BruteForceBroadPhase {
+    getPairs(bodies) {
+        const pairs = [];
+        for (let i = 0; i < bodies.length; i++) {
+            for (let j = i + 1; j < bodies.length; j++) {
+                pairs.push([i, j]);
+            }
+        }
+        return pairs;
+    }
+    
+    // Indices of the bodies whose bounds overlap the box, see PhysicsEngine.queryAABB
+    query(bodies, aabb) {
+        const indices = [];
+        for (let i = 0; i < bodies.length; i++) {
+            if (aabbOverlap(bodies[i].getAABB(), aabb)) indices.push(i);
+        }
+        return indices;
+    }
+}
+
+// Sorts AABBs along x and only tests bodies whose x intervals overlap. The sort
+// order is kept between calls, so insertion sort runs in near linear time
+// while bodies move coherently.
+export class SweepAndPruneBroadPhase {
+    constructor(margin = 0.1) {
+        this.margin = margin;
+        this.order = [];
+    }
+    
+    updateOrder(aabbs) {
+        if (this.order.length !== aabbs.length) {
+            this.order = aabbs.map((aabb, i) => i);
+        }
+        
+        for (let i = 1; i < this.order.length; i++) {
+            const index = this.order[i];
+            let j = i - 1;
+            while (j >= 0 && aabbs[this.order[j]].minX > aabbs[index].minX) {
+                this.order[j + 1] = this.order[j];
+                j--;
+            }
+            this.order[j + 1] = index;
+        }
+    }
+    
+    getPairs(bodies) {
+        const aabbs = bodies.map(body => getFattenedAABB(body, this.margin));
+        this.updateOrder(aabbs);
+        
+        const pairs = [];
+        for (let i = 0; i < this.order.length; i++) {
+            const indexA = this.order[i];
+            const aabbA = aabbs[indexA];
+            for (let j = i + 1; j < this.order.length; j++) {
+                const indexB = this.order[j];
+                const aabbB = aabbs[indexB];
+                if (aabbB.minX > aabbA.maxX) break;
+                if (aabbA.minY <= aabbB.maxY && aabbA.maxY >= aabbB.minY) {
+                    pairs.push(indexA < indexB ? [indexA, indexB] : [indexB, indexA]);
+                }
+            }
+        }
+        return sortPairs(pairs);
+    }
+    
+    // Sweeps the sorted bodies up to the end of the box along x
+    query(bodies, aabb) {
+        const aabbs = bodies.map(body => body.getAABB());
+        this.updateOrder(aabbs);
+        
+        const indices = [];
+        for (const index of this.order) {
+            if (aabbs[index].minX > aabb.maxX) break;
+            if (aabbOverlap(aabbs[index], aabb)) indices.push(index);
+        }
+        return indices.sort((a, b) => a - b);
+    }
+}
+
+// Buckets AABBs into a uniform grid and tests bodies that share a cell. Bodies
+// covering more than maxCellsPerBody cells (long ground slabs, bodies flung far
+// away) skip the grid and are tested against everything instead.
+export class SpatialHashBroadPhase {
+    constructor(cellSize = 100, margin = 0.1, maxCellsPerBody = 256) {
+        this.cellSize = cellSize;
+        this.margin = margin;
+        this.maxCellsPerBody = maxCellsPerBody;
+    }
+    
+    getPairs(bodies) {
+        const aabbs = bodies.map(body => getFattenedAABB(body, this.margin));
+        const cells = new Map();
+        const oversized = [];
+        
+        for (let i = 0; i < bodies.length; i++) {
+            const aabb = aabbs[i];
+            const minCellX = Math.floor(aabb.minX / this.cellSize);
+            const minCellY = Math.floor(aabb.minY / this.cellSize);
+            const maxCellX = Math.floor(aabb.maxX / this.cellSize);
+            const maxCellY = Math.floor(aabb.maxY / this.cellSize);
+            
+            // Negated so that non-finite bounds also count as oversized
+            const cellCount = (maxCellX - minCellX + 1) * (maxCellY - minCellY + 1);
+            if (!(cellCount <= this.maxCellsPerBody)) {
+                oversized.push(i);
+                continue;
+            }
+            
+            // Step by offset, far from the origin cellX++ can lose precision
+            for (let dx = 0; dx <= maxCellX - minCellX; dx++) {
+                for (let dy = 0; dy <= maxCellY - minCellY; dy++) {
+                    const key = `${minCellX + dx}_${minCellY + dy}`;
+                    if (!cells.has(key)) {
+                        cells.set(key, []);
+                    }
+                    cells.get(key).push(i);
+                }
+            }
+        }
+        
+        // Bodies spanning several cells meet more than once, test each pair once
+        const tested = new Set();
+        const pairs = [];
+        const testPair = (a, b) => {
+            const i = Math.min(a, b);
+            const j = Math.max(a, b);
+            const pairKey = i * bodies.length + j;
+            if (tested.has(pairKey)) return;
+            tested.add(pairKey);
+            
+            if (aabbOverlap(aabbs[i], aabbs[j])) {
+                pairs.push([i, j]);
+            }
+        };
+        
+        for (const indices of cells.values()) {
+            for (let a = 0; a < indices.length; a++) {
+                for (let b = a + 1; b < indices.length; b++) {
+                    testPair(indices[a], indices[b]);
+                }
+            }
+        }
+        for (const i of oversized) {
+            for (let j = 0; j < bodies.length; j++) {
+                if (j !== i) testPair(i, j);
+            }
+        }
+        return sortPairs(pairs);
+    }
+    
+    // The grid only lives for one getPairs call, and building it costs as
+    // much as testing every body against a single box directly
+    query(bodies, aabb) {
+        const indices = [];
+        for (let i = 0; i < bodies.length; i++) {
+            if (aabbOverlap(bodies[i].getAABB(), aabb)) indices.push(i);
+        }
+        return indices;
+    }
+}
+
+// Main physics engine
+export class PhysicsEngine {
+    constructor(worldWidth, worldHeight, options = {}) {
+        this.worldWidth = worldWidth;
+        this.worldHeight = worldHeight;
+        
+        // The solver works in ticks of 1 / hz seconds: velocities are in
+        // pixels/tick and gravity in pixels/tick². Settings given in seconds
+        // are converted here, so changing hz keeps the same physical behaviour.
+        this.hz = options.hz || 60;
+        this.timeStep = 1 / this.hz; // seconds
+        this.bodies = [];
+        this.contacts = [];
+        this.contactCache = new Map();
+        this.gravity = new Vector2(0, 0);
+        this.setGravity(options.gravity ? options.gravity.x : 0, options.gravity ? options.gravity.y : 60); // pixels/second²
+        this.isPaused = false;
+        this.currentTime = 0;
+        this.cacheTimeout = this.hz * 0.5; // 0.5 seconds worth of ticks
+        
+        // Fixed-step accumulator, see step()
+        this.accumulator = 0; // seconds of wall time not yet simulated
+        this.maxSubSteps = options.maxSubSteps || 5;
+        this.alpha = 0; // fraction of a tick the rendered frame lies past the last tick
+        this.broadPhase = options.broadPhase || new SweepAndPruneBroadPhase();
+        
+        // Sleeping: islands that stay below both thresholds for timeToSleep ticks
+        // stop integrating and solving until something wakes them
+        this.enableSleeping = options.enableSleeping !== undefined ? options.enableSleeping : true;
+        this.sleepLinearThreshold = 1.2 / this.hz; // 1.2 pixels/second, in pixels/tick
+        this.sleepAngularThreshold = 0.12 / this.hz; // 0.12 radians/second, in radians/tick
+        this.timeToSleep = this.hz * 0.5; // 0.5 seconds worth of ticks
+        this.islands = [];
+        this.awakeContacts = [];
+        
+        // Overlaps involving a sensor body, rebuilt every tick and never solved
+        this.sensorContacts = [];
+        
+        // Body changes asked for while a tick runs, e.g. from a contact event,
+        // wait here until it has finished, see deferChange
+        this.isStepping = false;
+        this.pendingChanges = [];
+        
+        // Contacts and sensor overlaps touching after the last tick, by pair
+        // key, to tell which began and which ended, see reportContacts
+        this.touchingContacts = new Map();
+        
+        // Continuous collision for bodies flagged isBullet: they stop at the
+        // first time of impact within ccdTolerance pixels of what they hit
+        this.enableCCD = options.enableCCD !== undefined ? options.enableCCD : true;
+        this.ccdTolerance = 0.5; // pixels
+        this.ccdPenetration = 0.1; // pixels
+        this.ccdMaxIterations = 20;
+        
+        // How the materials of two touching bodies combine: 'min', 'max',
+        // 'average', 'multiply' or 'geometricMean'. Restitution only applies
+        // above restitutionThreshold, so resting contacts don't jitter.
+        this.frictionCombine = options.frictionCombine || 'min';
+        this.restitutionCombine = options.restitutionCombine || 'max';
+        this.restitutionThreshold = 60 / this.hz; // 60 pixels/second, in pixels/tick
+        
+        // Warm starting: re-apply last tick's per-point contact and joint impulses before solving
+        this.warmStarting = options.warmStarting !== undefined ? options.warmStarting : true;
+        
+        // Warm started impulses already carry a lasting correction from tick to
+        // tick, so while warm starting the resting velocities only bridge the
+        // gap until they catch up: each tick they keep this fraction of
+        // themselves. Kept whole, the two corrections add up and topple stacks.
+        this.restingVelocityRetention = options.restingVelocityRetention !== undefined ? options.restingVelocityRetention : 0.25;
+        
+        // 'resting' runs the single-pass resting/error/collision phases,
+        // 'sequential' the iterated sequential impulse solver
+        this.setSolverMode(options.solverMode || 'resting', options.solverIterations || 10);
+        
+        // Joints are solved with their own iteration count in resting mode;
+        // the sequential solver interleaves them with the contacts
+        this.joints = [];
+        this.awakeJoints = [];
+        this.jointIterations = options.jointIterations || 10;
+        
+        // Solved with the joints but owned by input controllers, see MouseJoint
+        this.mouseJoints = [];
+        
+        // Run after gravity in the force phase, see ForceGenerator
+        this.forceGenerators = [];
+        
+        // Opt-in per-tick diagnostics, see SolverStats
+        this.stats = null;
+        if (options.enableStats) {
+            this.setStatsEnabled(true, options.statsHistoryLength);
+        }
+
+        // Listeners by event name, see on()
+        this.listeners = new Map();
+        
+        // Every engine draws spawn parameters and body colors from its own
+        // generator, so engines side by side don't perturb each other.
+        // reset() reseeds it so that the same world spawns again.
+        this.randomSeed = options.seed !== undefined ? options.seed : 12345;
+        this.rng = options.rng || new DeterministicRandom();
+        this.rng.reset(this.randomSeed);
+        
+        // Ids are numbered per engine for the same reason; the state hash
+        // and the contact cache keys include them
+        this.nextBodyId = 0;
+        this.nextJointId = 0;
+        
+        // Hash of the bodies' state after the last tick, see computeStateHash()
+        this.stateHash = 0;
+        
+        // Scene (from saveState) that initializeWorld and reset() rebuild,
+        // instead of the default ground and box
+        this.scene = options.scene || null;
+        
+        this.initializeWorld();
+    }
+    
+    initializeWorld() {
+        if (this.scene) {
+            this.restoreState(this.scene);
+            return;
+        }
+        
+        // Create static ground
+        const ground = new Rectangle(this.worldWidth / 2, this.worldHeight - 25, this.worldWidth, 50, 1, true);
+        this.addBody(ground);
+        
+        // Create some random boxes
+        for (let i = 0; i < 1; i++) {
+            //this.addRandomBox();
+
+            const box = this.addBody(new Rectangle(200, 200, 50, 30, 1, false));
+            box.angle = 0.1;
+        }
+    }
+    
+    // Adds a body to the world, giving it a color from the engine's stream
+    // if it has none yet
+    addBody(body) {
+        if (body.id === null) {
+            body.id = this.nextBodyId++;
+        }
+        if (!body.color) {
+            body.color = body.generateRandomColor(() => this.random());
+        }
+        if (this.deferChange(() => this.bodies.push(body))) return body;
+        
+        this.bodies.push(body);
+        return body;
+    }
+    
+    // Builds a body from a plain description and adds it. The shape is one of
+    //   { shape: 'rectangle', width, height }
+    //   { shape: 'circle', radius }
+    //   { shape: 'capsule', length, radius }
+    //   { shape: 'polygon', vertices } or { shape: 'polygon', sides, radius }
+    // and may be followed by x, y, angle, velocity (pixels/second),
+    // angularVelocity (radians/second), mass or density, material (a Material or its name), isStatic,
+    // isKinematic, kinematicPath, isBullet, isSensor, collisionFilter,
+    // gravityScale and color.
+    createBody(def) {
+        const material = typeof def.material === 'string' ? Material.get(def.material) : def.material || null;
+        const density = def.density !== undefined ? def.density : material ? material.density : 0.001;
+        const x = def.x || 0;
+        const y = def.y || 0;
+        const isStatic = def.isStatic || false;
+        
+        let body;
+        switch (def.shape) {
+            case 'rectangle':
+                body = new Rectangle(x, y, def.width, def.height, density * def.width * def.height, isStatic);
+                break;
+            case 'circle':
+                body = new Circle(x, y, def.radius, density, isStatic);
+                break;
+            case 'capsule':
+                body = new Capsule(x, y, def.length, def.radius, density, isStatic);
+                break;
+            case 'polygon':
+                body = def.vertices
+                    ? new Polygon(x, y, def.vertices.map(v => new Vector2(v.x, v.y)), density, isStatic)
+                    : Polygon.regular(x, y, def.sides, def.radius, density, isStatic);
+                break;
+            default:
+                throw new Error(`Unknown shape type ${def.shape}`);
+        }
+        
+        if (material) body.material = material;
+        if (def.mass !== undefined && !isStatic) body.setMass(def.mass);
+        
+        body.angle = def.angle || 0;
+        if (def.velocity) body.velocity = new Vector2(def.velocity.x / this.hz, def.velocity.y / this.hz);
+        body.angularVelocity = (def.angularVelocity || 0) / this.hz;
+        body.isBullet = def.isBullet || false;
+        body.isSensor = def.isSensor || false;
+        body.gravityScale = def.gravityScale !== undefined ? def.gravityScale : 1;
+        if (def.collisionFilter) {
+            const { category = body.collisionCategory, mask = body.collisionMask, group = body.collisionGroup } = def.collisionFilter;
+            body.collisionCategory = category;
+            body.collisionMask = mask;
+            body.collisionGroup = group;
+        }
+        if (def.color) body.color = def.color;
+        
+        if (def.kinematicPath) {
+            this.setKinematicPath(body, def.kinematicPath);
+        } else if (def.isKinematic) {
+            body.setKinematic();
+        }
+        return this.addBody(body);
+    }
+    
+    // Removes the body with its joints, contacts and contact cache entries.
+    // Pairs it was touching get 'endContact', bodies it touched are woken so
+    // what it supported falls, and 'destroyBody' lets controllers let go of it.
+    destroyBody(body) {
+        if (this.deferChange(() => this.destroyBody(body))) return;
+        
+        const index = this.bodies.indexOf(body);
+        if (index === -1) return;
+        
+        const involves = contact => contact.bodyA === body || contact.bodyB === body;
+        for (const contact of this.contacts) {
+            if (involves(contact)) this.wakeBody(contact.bodyA === body ? contact.bodyB : contact.bodyA);
+        }
+        for (const joint of [...body.joints]) {
+            this.removeJoint(joint);
+        }
+        this.mouseJoints = this.mouseJoints.filter(joint => joint.body !== body);
+        
+        this.bodies.splice(index, 1);
+        this.contacts = this.contacts.filter(contact => !involves(contact));
+        this.awakeContacts = this.awakeContacts.filter(contact => !involves(contact));
+        this.sensorContacts = this.sensorContacts.filter(contact => !involves(contact));
+        for (const [key, cache] of this.contactCache) {
+            if (involves(cache)) this.contactCache.delete(key);
+        }
+        for (const [key, contact] of this.touchingContacts) {
+            if (involves(contact)) {
+                this.touchingContacts.delete(key);
+                this.emit('endContact', this.createContactEvent(contact));
+            }
+        }
+        
+        this.emit('destroyBody', body);
+    }
+    
+    getBodyById(id) {
+        return this.bodies.find(body => body.id === id) || null;
+    }
+    
+    // Bodies store velocities per tick; these take and return pixels/second
+    // and radians/second. Setting one wakes the body, which would otherwise
+    // sleep through it.
+    getBodyVelocity(body) {
+        return Vector2.multiply(body.velocity, this.hz);
+    }
+    
+    setBodyVelocity(body, velocity) {
+        body.velocity = new Vector2(velocity.x / this.hz, velocity.y / this.hz);
+        this.wakeBody(body);
+    }
+    
+    getBodyAngularVelocity(body) {
+        return body.angularVelocity * this.hz;
+    }
+    
+    setBodyAngularVelocity(body, angularVelocity) {
+        body.angularVelocity = angularVelocity / this.hz;
+        this.wakeBody(body);
+    }
+    
+    // The setters below wake the body so its contacts are rebuilt with the
+    // new shape and mass on the next tick
+    setBodyMass(body, mass) {
+        if (this.deferChange(() => this.setBodyMass(body, mass))) return;
+        
+        body.setMass(mass);
+        this.wakeBody(body);
+    }
+    
+    // Takes what the body's setSize does: width and height for a rectangle,
+    // radius for a circle, length and radius for a capsule, scale for a polygon
+    setBodySize(body, ...size) {
+        if (this.deferChange(() => this.setBodySize(body, ...size))) return;
+        
+        body.setSize(...size);
+        this.wakeBody(body);
+    }
+    
+    // Wakes the body's island first, which loses its support when it becomes static
+    setBodyStatic(body, isStatic) {
+        if (this.deferChange(() => this.setBodyStatic(body, isStatic))) return;
+        
+        this.wakeBody(body);
+        body.setStatic(isStatic);
+        this.wakeBody(body);
+    }
+    
+    // Queues the change while a tick runs and returns true, otherwise returns
+    // false and leaves the change to the caller
+    deferChange(change) {
+        if (!this.isStepping) return false;
+        
+        this.pendingChanges.push(change);
+        return true;
+    }
+    
+    applyPendingChanges() {
+        const changes = this.pendingChanges;
+        this.pendingChanges = [];
+        for (const change of changes) {
+            change();
+        }
+    }
+    
+    random() {
+        return this.rng.next();
+    }
+    
+    addRandomBox() {
+        const width = 30 + this.random() * 40;
+        const height = 30 + this.random() * 40;
+        const x = 200 + this.random() * 100;
+        const y = 50 + this.random() * 200;
+        const mass = 0.5 + this.random() * 2.0;
+        
+        const box = this.addBody(new Rectangle(x, y, width, height, mass, false));
+        // Add some initial random velocity
+        this.setBodyVelocity(box, new Vector2((this.random() - 0.5) * 60, (this.random() - 0.5) * 300));
+        this.setBodyAngularVelocity(box, (this.random() - 0.5) * 30);
+    }
+    
+    addRandomPolygon() {
+        const sides = 3 + Math.floor(this.random() * 6);
+        const radius = 20 + this.random() * 25;
+        const x = 200 + this.random() * 100;
+        const y = 50 + this.random() * 200;
+        
+        const polygon = this.addBody(Polygon.regular(x, y, sides, radius));
+        polygon.angle = this.random() * 2 * Math.PI;
+        // Add some initial random velocity
+        this.setBodyVelocity(polygon, new Vector2((this.random() - 0.5) * 60, (this.random() - 0.5) * 300));
+        this.setBodyAngularVelocity(polygon, (this.random() - 0.5) * 30);
+    }
+    
+    addRandomCircle() {
+        const radius = 15 + this.random() * 20;
+        const x = 200 + this.random() * 100;
+        const y = 50 + this.random() * 200;
+        
+        const circle = this.addBody(new Circle(x, y, radius));
+        // Add some initial random velocity
+        this.setBodyVelocity(circle, new Vector2((this.random() - 0.5) * 60, (this.random() - 0.5) * 300));
+    }
+    
+    addRandomCapsule() {
+        const length = 20 + this.random() * 40;
+        const radius = 10 + this.random() * 15;
+        const x = 200 + this.random() * 100;
+        const y = 50 + this.random() * 200;
+        
+        const capsule = this.addBody(new Capsule(x, y, length, radius));
+        capsule.angle = this.random() * 2 * Math.PI;
+        // Add some initial random velocity
+        this.setBodyVelocity(capsule, new Vector2((this.random() - 0.5) * 60, (this.random() - 0.5) * 300));
+        this.setBodyAngularVelocity(capsule, (this.random() - 0.5) * 30);
+    }
+    
+    // Fires a small box at the ground fast enough to tunnel through it without CCD
+    addBullet() {
+        const x = 200 + this.random() * 100;
+        
+        const bullet = this.addBody(new Rectangle(x, 20, 8, 8, 0.2, false));
+        bullet.isBullet = true;
+        this.setBodyVelocity(bullet, new Vector2(0, 2400));
+        this.setBodyAngularVelocity(bullet, (this.random() - 0.5) * 30);
+    }
+    
+    // An elevator: a kinematic platform riding up and down, slowly enough
+    // that what it carries isn't thrown off when it turns, and waiting a
+    // second at either end
+    addPlatform() {
+        const x = 150 + this.random() * 500;
+        const bottom = 480;
+        const top = 250 + this.random() * 100;
+        
+        const platform = this.addBody(new Rectangle(x, bottom, 120, 15, 1, false));
+        this.setKinematicPath(platform, new KinematicPath([
+            { time: 0, x, y: bottom },
+            { time: 1, x, y: bottom },
+            { time: 9, x, y: top },
+            { time: 10, x, y: top },
+            { time: 18, x, y: bottom }
+        ]));
+    }
+    
+    // Hangs a chain of boxes from a static pin, linked by revolute joints
+    addChain() {
+        const links = 4 + Math.floor(this.random() * 5);
+        const linkWidth = 30;
+        const linkHeight = 10;
+        const x = 100 + this.random() * 300;
+        const y = 50;
+        
+        const pin = new Circle(x, y, 5, 0.001, true);
+        this.addBody(pin);
+        
+        let previous = pin;
+        for (let i = 0; i < links; i++) {
+            const link = this.addBody(new Rectangle(x + (i + 0.5) * linkWidth, y, linkWidth, linkHeight, 0.5, false));
+            this.addJoint(new RevoluteJoint(previous, link, new Vector2(x + i * linkWidth, y)));
+            previous = link;
+        }
+    }
+    
+    setGravity(x, y) {
+        // pixels/second² to pixels/tick²
+        this.gravity = new Vector2(x / (this.hz * this.hz), y / (this.hz * this.hz));
+    }
+    
+    getGravity() {
+        return new Vector2(this.gravity.x * this.hz * this.hz, this.gravity.y * this.hz * this.hz);
+    }
+    
+    // Advances the world by elapsed wall time in seconds, in as many fixed
+    // ticks as fit. Leftover time carries over to the next call; alpha is the
+    // leftover as a fraction of a tick, for renderers to interpolate with.
+    // After a long stall (a hidden tab, a breakpoint) at most maxSubSteps
+    // ticks run and the backlog is dropped rather than spiralling.
+    step(elapsedSeconds) {
+        let subSteps = 0;
+        if (!this.isPaused) {
+            this.accumulator += elapsedSeconds;
+            while (this.accumulator >= this.timeStep) {
+                if (subSteps >= this.maxSubSteps) {
+                    this.accumulator %= this.timeStep;
+                    break;
+                }
+                this.update();
+                this.accumulator -= this.timeStep;
+                subSteps++;
+            }
+        }
+        
+        this.alpha = this.accumulator / this.timeStep;
+        this.emit('frame', this.alpha);
+        return subSteps;
+    }
+    
+    // Advances the world by exactly one tick
+    update() {
+        if (this.isPaused) return;
+        
+        this.currentTime += 1;
+        this.isStepping = true;
+        if (this.stats) this.stats.beginTick(this.currentTime);
+        
+        // Pose at the start of the tick, for interpolated rendering
+        for (const body of this.bodies) {
+            body.previousPosition = body.position;
+            body.previousAngle = body.angle;
+        }
+        this.emit('preStep');
+        
+        // 0. Set kinematic bodies' velocities for this tick
+        this.driveKinematicBodies();
+        
+        // 1. Collision detection and contact generation (wakes touched islands),
+        // then let 'preSolve' listeners disable contacts or change their material
+        this.detectCollisions();
+        this.awakeContacts = this.contacts.filter(contact => !this.isContactAsleep(contact));
+        for (const contact of this.awakeContacts) {
+            this.emit('preSolve', contact);
+        }
+        this.awakeContacts = this.awakeContacts.filter(contact => contact.enabled);
+        this.markPhase('detect');
+        
+        // 2. Reset delta velocities
+        this.resetDeltaVelocities();
+        
+        // 3. Apply continuous forces (gravity)
+        this.applyForces();
+        this.markPhase('forces');
+        
+        if (this.solverMode === 'sequential') {
+            // 4-8. Iterated velocity solve, then move and separate
+            this.solveSequentialImpulses();
+            this.markPhase('sequential');
+        } else {
+            // 4. Solve joints, then move objects according to velocities
+            this.prepareJoints();
+            for (let iteration = 0; iteration < this.jointIterations; iteration++) {
+                this.solveJoints();
+            }
+            this.integrateMotion();
+            this.calculateCollisionMasses();
+            this.calculateRestitutionBiases();
+            this.markPhase('integrate');
+            
+            // 5. Position correction (separate overlapping objects)
+            this.separateObjects();
+            this.markPhase('separate');
+            
+            // 6. Apply resting forces, starting from last tick's impulses
+            this.warmStartContacts();
+            this.applyRestingForces();
+            this.markPhase('resting');
+            
+            // 7. Measure error and correct
+            this.measureAndCorrectError();
+            this.storeContactImpulses();
+            this.markPhase('errorCorrection');
+            
+            // 8. Apply normal collision resolution
+            this.applyNormalCollision();
+            this.markPhase('collision');
+        }
+
+        // 9. Let input controllers act on the solved velocities
+        this.emit('postSolve');
+        this.markPhase('events');
+
+        // 10. Apply resting decay.
+        this.applyRestingDecay();
+        
+        // 11. Advance sleep timers and put resting islands to sleep
+        this.updateSleep();
+        this.markPhase('sleep');
+        
+        // 12. Report contacts that began, persisted or ended this tick
+        this.reportContacts();
+        
+        // 13. Add, remove and change the bodies listeners asked for during the tick
+        this.isStepping = false;
+        this.applyPendingChanges();
+        this.markPhase('events');
+        
+        // Clean up old cache entries
+        this.cleanupContactCache();
+        this.markPhase('cacheCleanup');
+        
+        if (this.stats && this.stats.tick) this.collectStats();
+        this.stateHash = this.computeStateHash();
+        this.emit('postStep');
+    }
+    
+    // FNV-1a over the exact bits of every body's position and velocity. Two
+    // runs with equal hashes at a tick are, for all practical purposes, in
+    // the same state; the first tick where they differ is where they diverged.
+    computeStateHash() {
+        let hash = 0x811c9dc5;
+        const mix = (value) => {
+            hashFloat[0] = value;
+            hash = Math.imul(hash ^ hashWords[0], 0x01000193);
+            hash = Math.imul(hash ^ hashWords[1], 0x01000193);
+        };
+        
+        mix(this.currentTime);
+        for (const body of this.bodies) {
+            mix(body.id);
+            mix(body.position.x);
+            mix(body.position.y);
+            mix(body.angle);
+            mix(body.velocity.x);
+            mix(body.velocity.y);
+            mix(body.angularVelocity);
+            mix(body.isSleeping ? 1 : 0);
+        }
+        return hash >>> 0;
+    }
+    
+    // Renderers and controllers subscribe to the engine instead of being
+    // called by it. Events: 'preStep', 'postSolve', 'postStep', 'reset',
+    // 'frame' after every step() call, 'input' for every input a controller
+    // handles, 'preSolve' with each awake contact before it is solved,
+    // 'beginContact', 'stayContact' and 'endContact', see reportContacts, and
+    // 'destroyBody' with each body destroyBody removes.
+    on(event, listener) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, []);
+        }
+        this.listeners.get(event).push(listener);
+    }
+    
+    off(event, listener) {
+        const listeners = this.listeners.get(event);
+        if (!listeners) return;
+        
+        const index = listeners.indexOf(listener);
+        if (index !== -1) listeners.splice(index, 1);
+    }
+    
+    emit(event, ...args) {
+        const listeners = this.listeners.get(event);
+        if (!listeners) return;
+        
+        for (const listener of [...listeners]) {
+            listener(...args);
+        }
+    }
+    
+    onBeginContact(listener) {
+        this.on('beginContact', listener);
+    }
+    
+    onStayContact(listener) {
+        this.on('stayContact', listener);
+    }
+    
+    onEndContact(listener) {
+        this.on('endContact', listener);
+    }
+    
+    // The listener gets each awake contact after detection, with its
+    // combined material. Setting contact.enabled = false skips it in every
+    // solver phase this tick; contact.material can be changed to alter
+    // its friction or restitution.
+    onPreSolve(listener) {
+        this.on('preSolve', listener);
+    }
+    
+    // Compares this tick's contacts with last tick's. A pair emits
+    // 'beginContact' on its first touching tick, 'stayContact' on every
+    // later tick it is awake and 'endContact' once it no longer touches.
+    // Sleeping pairs keep touching without reporting anything.
+    reportContacts() {
+        const touching = new Map();
+        for (const contact of [...this.contacts, ...this.sensorContacts]) {
+            const key = new ContactCache(contact.bodyA, contact.bodyB).key;
+            touching.set(key, contact);
+            
+            if (!this.touchingContacts.has(key)) {
+                this.emit('beginContact', this.createContactEvent(contact));
+            } else if (!this.isContactAsleep(contact)) {
+                this.emit('stayContact', this.createContactEvent(contact));
+            }
+        }
+        
+        for (const [key, contact] of this.touchingContacts) {
+            if (!touching.has(key)) {
+                this.emit('endContact', this.createContactEvent(contact));
+            }
+        }
+        this.touchingContacts = touching;
+    }
+    
+    // Impulses are the resting phase's per-point normal impulses, in
+    // mass * pixels/tick, which include the impact when bodies first meet
+    createContactEvent(contact) {
+        const normalImpulses = [...contact.normalForceMagnitudes];
+        return {
+            bodyA: contact.bodyA,
+            bodyB: contact.bodyB,
+            contact,
+            isSensor: contact.isSensor || false,
+            normalImpulses,
+            totalImpulse: normalImpulses.reduce((sum, impulse) => sum + impulse, 0)
+        };
+    }
+    
+    detectCollisions() {
+        // Sleeping bodies have not moved, so their contacts from last tick still hold
+        const previousContacts = new Map();
+        for (const contact of this.contacts) {
+            if (this.isContactAsleep(contact)) {
+                previousContacts.set(new ContactCache(contact.bodyA, contact.bodyB).key, contact);
+            }
+        }
+        
+        this.contacts = [];
+        this.sensorContacts = [];
+        
+        // Only pairs with overlapping bounds reach the narrow phase
+        const pairs = this.broadPhase.getPairs(this.bodies);
+        if (this.stats && this.stats.tick) this.stats.tick.pairCount = pairs.length;
+        for (const [i, j] of pairs) {
+            const bodyA = this.bodies[i];
+            const bodyB = this.bodies[j];
+            if (!this.shouldCollide(bodyA, bodyB)) continue;
+            
+            // Sensor overlaps are reported but kept out of the solver, islands and cache
+            if (bodyA.isSensor || bodyB.isSensor) {
+                const overlap = this.checkSATCollision(bodyA, bodyB);
+                if (overlap) {
+                    overlap.isSensor = true;
+                    this.sensorContacts.push(overlap);
+                }
+                continue;
+            }
+            
+            let collision;
+            if ((bodyA.isSleeping || bodyB.isSleeping) && this.isContactAsleep({ bodyA, bodyB })) {
+                collision = previousContacts.get(new ContactCache(bodyA, bodyB).key) || null;
+            } else {
+                collision = this.checkSATCollision(bodyA, bodyB);
+            }
+            
+            if (collision) {
+                collision.material = this.combineMaterials(bodyA, bodyB);
+                this.contacts.push(collision);
+                
+                // Being touched by an awake body wakes the whole island
+                if (bodyA.isSleeping && !bodyB.isStatic && !bodyB.isSleeping) this.wakeBody(bodyA);
+                if (bodyB.isSleeping && !bodyA.isStatic && !bodyA.isSleeping) this.wakeBody(bodyB);
+                
+                // Update or create contact cache
+                const cacheKey = new ContactCache(bodyA, bodyB).key;
+                if (!this.contactCache.has(cacheKey)) {
+                    this.contactCache.set(cacheKey, new ContactCache(bodyA, bodyB));
+                }
+                this.contactCache.get(cacheKey).lastUpdateTime = this.currentTime;
+                
+                if (this.warmStarting) {
+                    this.matchContactPoints(collision, this.contactCache.get(cacheKey));
                 }
             }
         }
     }
     
-    checkSATCollision(rectA, rectB) {
+    static combineModes = {
+        min: (a, b) => Math.min(a, b),
+        max: (a, b) => Math.max(a, b),
+        average: (a, b) => (a + b) / 2,
+        multiply: (a, b) => a * b,
+        geometricMean: (a, b) => Math.sqrt(a * b)
+    };
+    
+    combineMaterials(bodyA, bodyB) {
+        const combineFriction = PhysicsEngine.combineModes[this.frictionCombine];
+        const combineRestitution = PhysicsEngine.combineModes[this.restitutionCombine];
+        if (!combineFriction || !combineRestitution) {
+            throw new Error(`Unknown combine mode ${combineFriction ? this.restitutionCombine : this.frictionCombine}`);
+        }
+        
+        const materialA = bodyA.material;
+        const materialB = bodyB.material;
+        return {
+            staticFriction: combineFriction(materialA.staticFriction, materialB.staticFriction),
+            dynamicFriction: combineFriction(materialA.dynamicFriction, materialB.dynamicFriction),
+            restitution: combineRestitution(materialA.restitution, materialB.restitution)
+        };
+    }
+    
+    setBroadPhase(broadPhase) {
+        this.broadPhase = broadPhase;
+    }
+    
+    // Filters take effect from the next tick's collision detection. The body
+    // is woken so it doesn't stay asleep on something it no longer touches.
+    setCollisionFilter(body, { category = body.collisionCategory, mask = body.collisionMask, group = body.collisionGroup } = {}) {
+        body.collisionCategory = category;
+        body.collisionMask = mask;
+        body.collisionGroup = group;
+        this.wakeBody(body);
+    }
+    
+    setSensor(body, isSensor = true) {
+        body.isSensor = isSensor;
+        this.wakeBody(body);
+    }
+    
+    shouldCollide(bodyA, bodyB) {
+        // Kinematic bodies go where they are driven, through static and other
+        // kinematic bodies; only sensors notice them
+        if ((bodyA.isKinematic || bodyB.isKinematic) && !bodyA.isSensor && !bodyB.isSensor &&
+            (bodyA.isStatic || bodyA.isKinematic) && (bodyB.isStatic || bodyB.isKinematic)) {
+            return false;
+        }
+        
+        if (bodyA.collisionGroup !== 0 && bodyA.collisionGroup === bodyB.collisionGroup) {
+            if (bodyA.collisionGroup < 0) return false;
+        } else if ((bodyA.collisionMask & bodyB.collisionCategory) === 0 ||
+                   (bodyB.collisionMask & bodyA.collisionCategory) === 0) {
+            return false;
+        }
+        
+        // Bodies joined without collideConnected pass through each other
+        for (const joint of bodyA.joints) {
+            if (!joint.collideConnected && (joint.bodyA === bodyB || joint.bodyB === bodyB)) return false;
+        }
+        return true;
+    }
+    
+    checkSATCollision(bodyA, bodyB) {
         debug++;
-        const verticesA = rectA.getVertices();
-        const verticesB = rectB.getVertices();
         
-        let minOverlap = Infinity;
-        let minOverlapA = Infinity;
-        let minOverlapB = Infinity;
-        let separationAxis = null;
-        let minAxisA = null;
-        let minAxisB = null;
-        let projA_minAxisA;
-        let projB_minAxisB;
+        // Routines are registered for one ordering of each shape pair; when the
+        // pair comes in the other order, collide it swapped and flip the result
+        const routine = PhysicsEngine.collisionRoutines[`${bodyA.shapeType}_${bodyB.shapeType}`];
+        if (routine) {
+            return this[routine](bodyA, bodyB);
+        }
+        
+        const swappedRoutine = PhysicsEngine.collisionRoutines[`${bodyB.shapeType}_${bodyA.shapeType}`];
+        const contact = this[swappedRoutine](bodyB, bodyA);
+        return contact && this.swapContact(contact);
+    }
+    
+    static collisionRoutines = {
+        polygon_polygon: 'collidePolygons',
+        circle_circle: 'collideCircles',
+        circle_polygon: 'collideCirclePolygon',
+        capsule_polygon: 'collideCapsulePolygon',
+        capsule_circle: 'collideCapsuleCircle',
+        capsule_capsule: 'collideCapsules'
+    };
+    
+    swapContact(contact) {
+        return new Contact(contact.bodyB, contact.bodyA, contact.contactPoints,
+            Vector2.multiply(contact.normal, -1), contact.penetrations, contact.featureIds);
+    }
+    
+    collidePolygons(polygonA, polygonB) {
+        const verticesA = polygonA.getVertices();
+        const verticesB = polygonB.getVertices();
+        
+        // SAT over the face normals of both polygons
+        const faceA = this.findMaxSeparation(verticesA, verticesB);
+        if (faceA.separation > 0) {
+            return null; // No collision
+        }
+        const faceB = this.findMaxSeparation(verticesB, verticesA);
+        if (faceB.separation > 0) {
+            return null; // No collision
+        }
+        
+        // Prefer A as the reference so the manifold does not flip between two
+        // nearly equal faces from one frame to the next
+        const flip = faceB.separation > PhysicsEngine.referenceFaceRelativeTolerance * faceA.separation +
+            PhysicsEngine.referenceFaceAbsoluteTolerance;
+        const manifold = flip
+            ? this.findContactPoints(verticesB, faceB.index, verticesA, 'B')
+            : this.findContactPoints(verticesA, faceA.index, verticesB, 'A');
         
-        // Test axes from both rectangles
-        let axisA = this.getRectangleAxes(verticesA);
-        let axisB = this.getRectangleAxes(verticesB);
+        if (manifold.contactPoints.length === 0) {
+            return null; // Touching at a corner, nothing left after clipping
+        }
         
-        for (const axis of axisA) {
-            const projA = this.projectVertices(verticesA, axis);
-            const projB = this.projectVertices(verticesB, axis);
-            
-            const overlap = Math.min(projA.max, projB.max) - Math.max(projA.min, projB.min);
-            
-            if (overlap < 0) {
+        // Ensure normal points from A to B
+        const normal = flip ? Vector2.multiply(manifold.normal, -1) : manifold.normal;
+        return new Contact(polygonA, polygonB, manifold.contactPoints, normal, manifold.penetrations, manifold.featureIds);
+    }
+    
+    static referenceFaceRelativeTolerance = 0.98;
+    static referenceFaceAbsoluteTolerance = 0.001;
+    
+    // Face of verticesA that verticesB is furthest outside of
+    findMaxSeparation(verticesA, verticesB) {
+        let separation = -Infinity;
+        let index = 0;
+        for (let i = 0; i < verticesA.length; i++) {
+            const normal = this.getOutwardNormal(verticesA, i);
+            const projection = this.projectVertices(verticesB, normal);
+            const faceSeparation = projection.min - Vector2.dot(normal, verticesA[i]);
+            if (faceSeparation > separation) {
+                separation = faceSeparation;
+                index = i;
+            }
+        }
+        return { separation, index };
+    }
+    
+    // Two-point manifold from clipping the incident face (the one most facing
+    // the reference face) against the reference face's side planes. Points are
+    // kept when they lie below the reference face, with their penetration
+    // measured along its normal. Feature ids name the reference face, incident
+    // face and which clip produced the point, so they survive small motions.
+    findContactPoints(referenceVertices, referenceIndex, incidentVertices, referenceName) {
+        const normal = this.getOutwardNormal(referenceVertices, referenceIndex);
+        const faceStart = referenceVertices[referenceIndex];
+        const faceEnd = referenceVertices[(referenceIndex + 1) % referenceVertices.length];
+        const faceDir = Vector2.normalize(Vector2.subtract(faceEnd, faceStart));
+        
+        let incidentIndex = 0;
+        let minDot = Infinity;
+        for (let i = 0; i < incidentVertices.length; i++) {
+            const dot = Vector2.dot(this.getOutwardNormal(incidentVertices, i), normal);
+            if (dot < minDot) {
+                minDot = dot;
+                incidentIndex = i;
+            }
+        }
+        const nextIndex = (incidentIndex + 1) % incidentVertices.length;
+        
+        const prefix = `${referenceName}${referenceIndex}:${incidentIndex}`;
+        let incident = [
+            { point: incidentVertices[incidentIndex], id: `${prefix}:v${incidentIndex}` },
+            { point: incidentVertices[nextIndex], id: `${prefix}:v${nextIndex}` }
+        ];
+        incident = this.clipSegmentToLine(incident, Vector2.multiply(faceDir, -1), -Vector2.dot(faceDir, faceStart), `${prefix}:c0`);
+        incident = this.clipSegmentToLine(incident, faceDir, Vector2.dot(faceDir, faceEnd), `${prefix}:c1`);
+        
+        const manifold = { normal, contactPoints: [], penetrations: [], featureIds: [] };
+        for (const { point, id } of incident) {
+            const separation = Vector2.dot(normal, Vector2.subtract(point, faceStart));
+            if (separation <= 0) {
+                manifold.contactPoints.push(point);
+                manifold.penetrations.push(-separation);
+                manifold.featureIds.push(id);
+            }
+        }
+        return manifold;
+    }
+    
+    collideCircles(circleA, circleB) {
+        return this.collideRoundPoints(circleA, circleB, circleA.position, circleA.radius, circleB.position, circleB.radius, 'round');
+    }
+    
+    collideCapsuleCircle(capsule, circle) {
+        const [start, end] = capsule.getSegment();
+        const closest = this.closestPointOnSegment(circle.position, start, end);
+        return this.collideRoundPoints(capsule, circle, closest, capsule.radius, circle.position, circle.radius, 'round');
+    }
+    
+    collideCapsules(capsuleA, capsuleB) {
+        const [startA, endA] = capsuleA.getSegment();
+        const [startB, endB] = capsuleB.getSegment();
+        const closest = this.closestPointsBetweenSegments(startA, endA, startB, endB);
+        return this.collideRoundPoints(capsuleA, capsuleB, closest.pointA, capsuleA.radius, closest.pointB, capsuleB.radius, 'round');
+    }
+    
+    // Contact between two discs, used for every pair of round features
+    collideRoundPoints(bodyA, bodyB, centerA, radiusA, centerB, radiusB, featureId) {
+        const delta = Vector2.subtract(centerB, centerA);
+        const distance = Vector2.length(delta);
+        const penetration = radiusA + radiusB - distance;
+        if (penetration < 0) {
+            return null; // No collision
+        }
+        
+        // Coincident centers have no preferred direction, push straight down
+        const normal = distance > 0 ? Vector2.multiply(delta, 1.0 / distance) : new Vector2(0, 1);
+        
+        // Place the contact point in the middle of the overlap
+        const contactPoint = Vector2.add(centerA, Vector2.multiply(normal, radiusA - penetration / 2));
+        return new Contact(bodyA, bodyB, [contactPoint], normal, [penetration], [featureId]);
+    }
+    
+    collideCirclePolygon(circle, polygon) {
+        const vertices = polygon.getVertices();
+        const center = circle.position;
+        
+        // Find the face the circle center is furthest outside of
+        let maxSeparation = -Infinity;
+        let faceIndex = 0;
+        for (let i = 0; i < vertices.length; i++) {
+            const separation = Vector2.dot(this.getOutwardNormal(vertices, i), Vector2.subtract(center, vertices[i]));
+            if (separation > maxSeparation) {
+                maxSeparation = separation;
+                faceIndex = i;
+            }
+        }
+        
+        if (maxSeparation > circle.radius) {
+            return null; // No collision
+        }
+        
+        let normal; // From polygon towards circle
+        let contactPoint;
+        let penetration;
+        let featureId = `f${faceIndex}`;
+        if (maxSeparation <= 0) {
+            // Center inside the polygon, push out through the nearest face
+            normal = this.getOutwardNormal(vertices, faceIndex);
+            contactPoint = Vector2.subtract(center, Vector2.multiply(normal, maxSeparation));
+            penetration = circle.radius - maxSeparation;
+        } else {
+            // Center outside, the closest point may be a face or a vertex
+            const { point: closest, id } = this.closestFeatureOnPolygon(center, vertices);
+            featureId = id;
+            const delta = Vector2.subtract(center, closest);
+            const distance = Vector2.length(delta);
+            if (distance > circle.radius) {
                 return null; // No collision
             }
-
-            if (overlap < minOverlap) {
-                minOverlap = overlap;
-                separationAxis = axis.copy();
+            normal = Vector2.multiply(delta, 1.0 / distance);
+            contactPoint = closest;
+            penetration = circle.radius - distance;
+        }
+        
+        return new Contact(circle, polygon, [contactPoint], Vector2.multiply(normal, -1), [penetration], [featureId]);
+    }
+    
+    collideCapsulePolygon(capsule, polygon) {
+        const vertices = polygon.getVertices();
+        const [start, end] = capsule.getSegment();
+        const radius = capsule.radius;
+        
+        // SAT between the capsule's core segment and the polygon. Polygon faces
+        // first: a face separates by the nearer of the two segment end points.
+        let polygonSeparation = -Infinity;
+        let faceIndex = 0;
+        for (let i = 0; i < vertices.length; i++) {
+            const normal = this.getOutwardNormal(vertices, i);
+            const separation = Math.min(
+                Vector2.dot(normal, Vector2.subtract(start, vertices[i])),
+                Vector2.dot(normal, Vector2.subtract(end, vertices[i])));
+            if (separation > polygonSeparation) {
+                polygonSeparation = separation;
+                faceIndex = i;
+            }
+        }
+        
+        // Then both sides of the segment
+        const segmentDir = Vector2.normalize(Vector2.subtract(end, start));
+        let segmentSeparation = -Infinity;
+        let segmentNormal = null; // From capsule towards polygon
+        for (const normal of [Vector2.perpendicular(segmentDir), Vector2.multiply(Vector2.perpendicular(segmentDir), -1)]) {
+            const projection = this.projectVertices(vertices, normal);
+            const separation = projection.min - Vector2.dot(normal, start);
+            if (separation > segmentSeparation) {
+                segmentSeparation = separation;
+                segmentNormal = normal;
+            }
+        }
+        
+        const separation = Math.max(polygonSeparation, segmentSeparation);
+        if (separation > radius) {
+            return null; // No collision
+        }
+        
+        // With disjoint cores the SAT separation only bounds the distance from
+        // below. When the true distance is larger the closest features meet at
+        // a rounded cap, which gets a single contact along the closest line.
+        if (separation > 0) {
+            let closest = null;
+            let closestDistance = Infinity;
+            let closestFace = 0;
+            for (let i = 0; i < vertices.length; i++) {
+                const points = this.closestPointsBetweenSegments(start, end, vertices[i], vertices[(i + 1) % vertices.length]);
+                const distance = Vector2.length(Vector2.subtract(points.pointB, points.pointA));
+                if (distance < closestDistance) {
+                    closestDistance = distance;
+                    closest = points;
+                    closestFace = i;
+                }
             }
             
-            if (overlap < minOverlapA) {
-                minOverlapA = overlap;
-                minAxisA = axis.copy();
-                projA_minAxisA = projA;
+            if (closestDistance > radius) {
+                return null; // No collision
+            }
+            
+            if (closestDistance > separation + PhysicsEngine.roundFeatureTolerance) {
+                const normal = Vector2.multiply(Vector2.subtract(closest.pointB, closest.pointA), 1.0 / closestDistance);
+                return new Contact(capsule, polygon, [closest.pointB], normal, [radius - closestDistance], [`round:f${closestFace}`]);
             }
         }
-        for (const axis of axisB) {
-            const projA = this.projectVertices(verticesA, axis);
-            const projB = this.projectVertices(verticesB, axis);
+        
+        const contactPoints = [];
+        const penetrations = [];
+        const featureIds = [];
+        let normal;
+        if (segmentSeparation > polygonSeparation + PhysicsEngine.roundFeatureTolerance) {
+            // Segment side is the reference: clip the most anti-parallel polygon
+            // face to the segment's extent
+            normal = segmentNormal;
+            let incidentIndex = 0;
+            let minDot = Infinity;
+            for (let i = 0; i < vertices.length; i++) {
+                const dot = Vector2.dot(this.getOutwardNormal(vertices, i), normal);
+                if (dot < minDot) {
+                    minDot = dot;
+                    incidentIndex = i;
+                }
+            }
             
-            const overlap = Math.min(projA.max, projB.max) - Math.max(projA.min, projB.min);
+            const nextIndex = (incidentIndex + 1) % vertices.length;
+            const prefix = `seg:${incidentIndex}`;
+            let incident = [
+                { point: vertices[incidentIndex], id: `${prefix}:v${incidentIndex}` },
+                { point: vertices[nextIndex], id: `${prefix}:v${nextIndex}` }
+            ];
+            incident = this.clipSegmentToLine(incident, Vector2.multiply(segmentDir, -1), -Vector2.dot(segmentDir, start), `${prefix}:c0`);
+            incident = this.clipSegmentToLine(incident, segmentDir, Vector2.dot(segmentDir, end), `${prefix}:c1`);
             
-            if (overlap < 0) {
-                return null; // No collision
+            for (const { point, id } of incident) {
+                const pointSeparation = Vector2.dot(normal, Vector2.subtract(point, start));
+                if (pointSeparation <= radius) {
+                    contactPoints.push(point);
+                    penetrations.push(radius - pointSeparation);
+                    featureIds.push(id);
+                }
             }
-
-            if (overlap < minOverlap) {
-                minOverlap = overlap;
-                separationAxis = axis.copy();
+        } else {
+            // Polygon face is the reference: clip the segment to the face's extent
+            const faceStart = vertices[faceIndex];
+            const faceEnd = vertices[(faceIndex + 1) % vertices.length];
+            const faceNormal = this.getOutwardNormal(vertices, faceIndex);
+            const faceDir = Vector2.normalize(Vector2.subtract(faceEnd, faceStart));
+            normal = Vector2.multiply(faceNormal, -1);
+            
+            const prefix = `f${faceIndex}:seg`;
+            let incident = [{ point: start, id: `${prefix}:v0` }, { point: end, id: `${prefix}:v1` }];
+            incident = this.clipSegmentToLine(incident, Vector2.multiply(faceDir, -1), -Vector2.dot(faceDir, faceStart), `${prefix}:c0`);
+            incident = this.clipSegmentToLine(incident, faceDir, Vector2.dot(faceDir, faceEnd), `${prefix}:c1`);
+            
+            for (const { point, id } of incident) {
+                const pointSeparation = Vector2.dot(faceNormal, Vector2.subtract(point, faceStart));
+                if (pointSeparation <= radius) {
+                    contactPoints.push(Vector2.subtract(point, Vector2.multiply(faceNormal, pointSeparation)));
+                    penetrations.push(radius - pointSeparation);
+                    featureIds.push(id);
+                }
+            }
+        }
+        
+        // Clipping can come up empty when the core barely overlaps a corner,
+        // fall back to the deepest segment end point
+        if (contactPoints.length === 0) {
+            const startDepth = Vector2.dot(normal, start);
+            const deepest = startDepth > Vector2.dot(normal, end) ? start : end;
+            const closest = this.closestFeatureOnPolygon(deepest, vertices);
+            contactPoints.push(closest.point);
+            penetrations.push(Math.max(0, radius - separation));
+            featureIds.push(`round:${closest.id}`);
+        }
+        
+        return new Contact(capsule, polygon, contactPoints, normal, penetrations, featureIds);
+    }
+    
+    static roundFeatureTolerance = 0.01;
+    
+    // Normal of the face from vertices[i] to vertices[i + 1], pointing out of the polygon
+    getOutwardNormal(vertices, i) {
+        const edge = Vector2.subtract(vertices[(i + 1) % vertices.length], vertices[i]);
+        return Vector2.normalize(new Vector2(edge.y, -edge.x));
+    }
+    
+    // Keep the part of the segment (or single point) where dot(normal, point) <= offset.
+    // Points carry a feature id; a point created by the clip gets clipId.
+    clipSegmentToLine(points, normal, offset, clipId) {
+        const distances = points.map(({ point }) => Vector2.dot(normal, point) - offset);
+        const clipped = points.filter((point, i) => distances[i] <= 0);
+        
+        if (points.length === 2 && distances[0] * distances[1] < 0) {
+            const t = distances[0] / (distances[0] - distances[1]);
+            const [a, b] = points;
+            clipped.push({ point: Vector2.add(a.point, Vector2.multiply(Vector2.subtract(b.point, a.point), t)), id: clipId });
+        }
+        return clipped;
+    }
+    
+    closestPointOnSegment(point, start, end) {
+        const segment = Vector2.subtract(end, start);
+        const lengthSq = Vector2.dot(segment, segment);
+        if (lengthSq === 0) return start.copy();
+        
+        const t = Math.max(0, Math.min(1, Vector2.dot(Vector2.subtract(point, start), segment) / lengthSq));
+        return Vector2.add(start, Vector2.multiply(segment, t));
+    }
+    
+    // Closest point on the polygon outline, with the face ('f') or vertex ('v') it lies on
+    closestFeatureOnPolygon(point, vertices) {
+        let closest = null;
+        let closestDistSq = Infinity;
+        for (let i = 0; i < vertices.length; i++) {
+            const next = (i + 1) % vertices.length;
+            const edge = Vector2.subtract(vertices[next], vertices[i]);
+            const t = Math.max(0, Math.min(1, Vector2.dot(Vector2.subtract(point, vertices[i]), edge) / Vector2.dot(edge, edge)));
+            const candidate = Vector2.add(vertices[i], Vector2.multiply(edge, t));
+            
+            const delta = Vector2.subtract(point, candidate);
+            const distSq = Vector2.dot(delta, delta);
+            if (distSq < closestDistSq) {
+                closestDistSq = distSq;
+                const id = t === 0 ? `v${i}` : t === 1 ? `v${next}` : `f${i}`;
+                closest = { point: candidate, id };
+            }
+        }
+        return closest;
+    }
+    
+    // Closest points between segments [startA, endA] and [startB, endB]
+    closestPointsBetweenSegments(startA, endA, startB, endB) {
+        const d1 = Vector2.subtract(endA, startA);
+        const d2 = Vector2.subtract(endB, startB);
+        const r = Vector2.subtract(startA, startB);
+        const a = Vector2.dot(d1, d1);
+        const e = Vector2.dot(d2, d2);
+        const f = Vector2.dot(d2, r);
+        
+        let s = 0;
+        let t = 0;
+        if (a === 0 && e === 0) {
+            return { pointA: startA.copy(), pointB: startB.copy() };
+        }
+        if (a === 0) {
+            t = Math.max(0, Math.min(1, f / e));
+        } else {
+            const c = Vector2.dot(d1, r);
+            if (e === 0) {
+                s = Math.max(0, Math.min(1, -c / a));
+            } else {
+                const b = Vector2.dot(d1, d2);
+                const denom = a * e - b * b;
+                // Parallel segments have no unique pair, start from s = 0
+                s = denom !== 0 ? Math.max(0, Math.min(1, (b * f - c * e) / denom)) : 0;
+                t = (b * s + f) / e;
+                if (t < 0) {
+                    t = 0;
+                    s = Math.max(0, Math.min(1, -c / a));
+                } else if (t > 1) {
+                    t = 1;
+                    s = Math.max(0, Math.min(1, (b - c) / a));
+                }
+            }
+        }
+        
+        return {
+            pointA: Vector2.add(startA, Vector2.multiply(d1, s)),
+            pointB: Vector2.add(startB, Vector2.multiply(d2, t))
+        };
+    }
+    
+    projectVertices(vertices, axis) {
+        let min = Vector2.dot(vertices[0], axis);
+        let max = min;
+        
+        for (let i = 1; i < vertices.length; i++) {
+            const projection = Vector2.dot(vertices[i], axis);
+            if (projection < min) min = projection;
+            if (projection > max) max = projection;
+        }
+        
+        return { min, max };
+    }
+    
+    isPointInRectangle(point, rectVertices) {
+        // Simple point-in-polygon test using cross products
+        for (let i = 0; i < rectVertices.length; i++) {
+            const v1 = rectVertices[i];
+            const v2 = rectVertices[(i + 1) % rectVertices.length];
+            const edge = Vector2.subtract(v2, v1);
+            const toPoint = Vector2.subtract(point, v1);
+            
+            if (Vector2.cross(edge, toPoint) < 0) {
+                return false;
             }
+        }
+        return true;
+    }
+    
+    resetDeltaVelocities() {
+        for (const body of this.bodies) {
+            body.deltaVelocity = new Vector2(0, 0);
+            body.deltaAngularVelocity = 0;
+        }
+    }
+    
+    // A body on a path gets the velocity that reaches the path's pose at the
+    // end of the tick. One that isn't moving counts as asleep, so it doesn't
+    // keep what rests on it awake; once it moves, collision detection wakes
+    // what it touches.
+    driveKinematicBodies() {
+        const time = this.currentTime / this.hz;
+        for (const body of this.bodies) {
+            if (!body.isKinematic) continue;
             
-            if (overlap < minOverlapB) {
-                minOverlapB = overlap;
-                minAxisB = axis.copy();
-                projB_minAxisB = projB;
+            if (body.kinematicPath) {
+                const pose = body.kinematicPath.getPose(time);
+                body.velocity = new Vector2(pose.x - body.position.x, pose.y - body.position.y);
+                body.angularVelocity = pose.angle - body.angle;
+            }
+            body.isSleeping = body.velocity.x === 0 && body.velocity.y === 0 && body.angularVelocity === 0;
+        }
+    }
+    
+    // Starts the path at the current time, so its first waypoint is where
+    // the body heads first
+    setKinematicPath(body, path) {
+        path.startTime = this.currentTime / this.hz;
+        body.setKinematic(true, path);
+    }
+    
+    applyForces() {
+        const gravityDelta = this.gravity;
+        
+        for (const body of this.bodies) {
+            if (!body.isStatic && !body.isKinematic && !body.isSleeping) {
+                const gravity = body.gravityScale === 1 ? gravityDelta : Vector2.multiply(gravityDelta, body.gravityScale);
+                body.velocity = Vector2.add(body.velocity, gravity);
+                body.deltaVelocity = Vector2.add(body.deltaVelocity, gravity);
+            }
+        }
+        
+        for (const generator of this.forceGenerators) {
+            generator.apply(this);
+        }
+        this.forceGenerators = this.forceGenerators.filter(generator => !generator.isFinished);
+    }
+    
+    // Takes a ForceGenerator or a function called with each body and the engine
+    addForceGenerator(generator) {
+        if (typeof generator === 'function') {
+            generator = new CallbackForce(generator);
+        }
+        this.forceGenerators.push(generator);
+        return generator;
+    }
+    
+    removeForceGenerator(generator) {
+        const index = this.forceGenerators.indexOf(generator);
+        if (index !== -1) this.forceGenerators.splice(index, 1);
+    }
+    
+    // Applies a force in mass * pixels/second² at a world point, for one tick
+    applyForce(body, force, point = body.position) {
+        const impulse = Vector2.multiply(force, 1 / (this.hz * this.hz)); // mass * pixels/tick
+        const r = Vector2.subtract(point, body.position);
+        this.changeVelocity(body, Vector2.multiply(impulse, body.invMass), Vector2.cross(r, impulse) * body.invInertia);
+    }
+    
+    // Forces change deltaVelocity along with the velocity, like gravity, so
+    // the resting phases answer them with resting impulses
+    changeVelocity(body, linear, angular) {
+        body.velocity = Vector2.add(body.velocity, linear);
+        body.deltaVelocity = Vector2.add(body.deltaVelocity, linear);
+        body.angularVelocity += angular;
+        body.deltaAngularVelocity += angular;
+    }
+    
+    integrateMotion() {
+        const bullets = [];
+        for (const body of this.bodies) {
+            if (!body.isStatic && !body.isSleeping) {
+                if (body.isBullet && !body.isSensor && this.enableCCD) {
+                    bullets.push({ body, position: body.position, angle: body.angle });
+                }
+                body.position = Vector2.add(body.position, body.velocity);
+                body.angle += body.angularVelocity;
             }
         }
         
-        // Find contact points by checking vertices of each rectangle against the other
-        const contactPointsA = this.findContactPoints(verticesA, rectB);
-        const contactPointsB = this.findContactPoints(verticesB, rectA);
+        if (bullets.length > 0) {
+            this.solveTimeOfImpact(bullets);
+        }
+    }
+    
+    // Sweeps each bullet from its pose at the start of the tick to where it
+    // was just integrated to, against every body its swept bounds touch, and
+    // clamps it to the earliest time of impact. There it is pushed
+    // ccdPenetration into what it hit, so that next tick's collision
+    // detection generates the contact, and loses its velocity towards it so
+    // that it doesn't move through before the contact is solved.
+    // Bodies the bullet already touches at the start of the tick are left to
+    // the regular contacts. The rest of the tick's motion is dropped.
+    solveTimeOfImpact(bullets) {
+        for (const sweep of bullets) {
+            const bullet = sweep.body;
+            const bulletEnd = { position: bullet.position, angle: bullet.angle };
+            const bulletBounds = this.getSweptAABB(bullet, sweep, bulletEnd);
+            
+            let impact = null;
+            for (const other of this.bodies) {
+                if (other === bullet || other.isSensor || !this.shouldCollide(bullet, other)) continue;
                 
-        // Ensure normal points from A to B
-        const centerA = this.getCenter(verticesA);
-        const centerB = this.getCenter(verticesB);
-        const centerDir = Vector2.subtract(centerB, centerA);
-        if (Vector2.dot(separationAxis, centerDir) < 0) {
-            separationAxis = Vector2.multiply(separationAxis, -1);
+                // Other awake bodies moved by their velocity this tick as well
+                const otherEnd = { position: other.position, angle: other.angle };
+                const otherStart = other.isStatic || other.isSleeping ? otherEnd : {
+                    position: Vector2.subtract(other.position, other.velocity),
+                    angle: other.angle - other.angularVelocity
+                };
+                if (!aabbOverlap(bulletBounds, this.getSweptAABB(other, otherStart, otherEnd))) continue;
+                
+                const candidate = this.computeTimeOfImpact(bullet, sweep, bulletEnd, other, otherStart, otherEnd);
+                if (candidate && (!impact || candidate.time < impact.time)) {
+                    impact = candidate;
+                }
+            }
+            
+            if (impact) {
+                const push = impact.distance + this.ccdPenetration;
+                bullet.position = Vector2.add(impact.position, Vector2.multiply(impact.normal, push));
+                bullet.angle = impact.angle;
+                
+                const relativeVelocity = Vector2.subtract(bullet.velocity, impact.other.velocity);
+                const approachSpeed = Vector2.dot(relativeVelocity, impact.normal);
+                if (approachSpeed > 0) {
+                    bullet.velocity = Vector2.subtract(bullet.velocity, Vector2.multiply(impact.normal, approachSpeed));
+                }
+            }
         }
+    }
+    
+    getSweptAABB(body, start, end) {
+        const radius = body.boundingRadius;
+        return {
+            minX: Math.min(start.position.x, end.position.x) - radius,
+            minY: Math.min(start.position.y, end.position.y) - radius,
+            maxX: Math.max(start.position.x, end.position.x) + radius,
+            maxY: Math.max(start.position.y, end.position.y) + radius
+        };
+    }
+    
+    // Conservative advancement: step forward by the current distance over an
+    // upper bound of the closing speed, which can never step past a contact,
+    // until the shapes are within ccdTolerance. Returns null if they don't
+    // meet within the tick or already touch at its start.
+    computeTimeOfImpact(bodyA, startA, endA, bodyB, startB, endB) {
+        const lerp = (start, end, t) => ({
+            position: Vector2.add(start.position, Vector2.multiply(Vector2.subtract(end.position, start.position), t)),
+            angle: start.angle + (end.angle - start.angle) * t
+        });
         
-        const contactPoints = [...contactPointsA, ...contactPointsB];
+        const linearMotion = Vector2.subtract(
+            Vector2.subtract(endA.position, startA.position),
+            Vector2.subtract(endB.position, startB.position));
+        const closingBound = Vector2.length(linearMotion) +
+            Math.abs(endA.angle - startA.angle) * bodyA.boundingRadius +
+            Math.abs(endB.angle - startB.angle) * bodyB.boundingRadius;
+        if (closingBound <= this.ccdTolerance) return null;
         
-        // If no contact points found, use fallback
-        if (contactPoints.length === 0) {
-            contactPoints.push(Vector2.multiply(Vector2.add(rectA.position, rectB.position), 0.5));
-        }
-
-        // Calculate penetration per contact point
-        const penetration = [];
-        for (const contactPoint of contactPoints) {
-
-            let pointProjectionA = Vector2.dot(contactPoint, minAxisA);
-            let minDistToA = Math.abs(pointProjectionA - projA_minAxisA.min);
-            minDistToA = Math.min(minDistToA, Math.abs(pointProjectionA - projA_minAxisA.max));
+        const target = this.ccdTolerance * 0.5;
+        let t = 0;
+        for (let iteration = 0; iteration < this.ccdMaxIterations; iteration++) {
+            const poseA = lerp(startA, endA, t);
+            const poseB = lerp(startB, endB, t);
+            const result = this.computeShapeDistance(bodyA, poseA, bodyB, poseB);
             
-            let pointProjectionB = Vector2.dot(contactPoint, minAxisB);
-            let minDistToB = Math.abs(pointProjectionB - projB_minAxisB.min);
-            minDistToB = Math.min(minDistToB, Math.abs(pointProjectionB - projB_minAxisB.max));
-
-            penetration.push(Math.max(minDistToA, minDistToB));
+            if (result.distance <= this.ccdTolerance) {
+                if (iteration === 0) return null;
+                return { time: t, position: poseA.position, angle: poseA.angle, distance: result.distance, normal: result.normal, other: bodyB };
+            }
+            
+            t += (result.distance - target) / closingBound;
+            if (t >= 1) return null;
         }
         
-        return new Contact(rectA, rectB, contactPoints, separationAxis, penetration);
+        // Out of iterations: t is still safely before the impact
+        const poseA = lerp(startA, endA, t);
+        const poseB = lerp(startB, endB, t);
+        const result = this.computeShapeDistance(bodyA, poseA, bodyB, poseB);
+        return { time: t, position: poseA.position, angle: poseA.angle, distance: result.distance, normal: result.normal, other: bodyB };
     }
     
-    getRectangleAxes(vertices) {
-        const axes = [];
-        for (let i = 0; i < vertices.length; i++) {
-            const edge = Vector2.subtract(vertices[(i + 1) % vertices.length], vertices[i]);
-            const normal = Vector2.normalize(Vector2.perpendicular(edge));
-            axes.push(normal);
+    // Every shape is a convex core (polygon vertices, a capsule's segment, a
+    // circle's center) swept by a radius
+    getCorePoints(body, pose) {
+        switch (body.shapeType) {
+            case 'circle':
+                return [pose.position];
+            case 'capsule': {
+                const halfAxis = new Vector2(Math.cos(pose.angle) * body.length / 2, Math.sin(pose.angle) * body.length / 2);
+                return [Vector2.subtract(pose.position, halfAxis), Vector2.add(pose.position, halfAxis)];
+            }
+            default:
+                return body.localVertices.map(vertex => Vector2.add(pose.position, Vector2.rotate(vertex, pose.angle)));
+        }
+    }
+    
+    getCoreRadius(body) {
+        return body.shapeType === 'circle' || body.shapeType === 'capsule' ? body.radius : 0;
+    }
+    
+    // Distance between two shapes at the given poses, and the unit normal
+    // from A towards B. Overlapping cores report a negative distance and no
+    // normal worth trusting.
+    computeShapeDistance(bodyA, poseA, bodyB, poseB) {
+        const core = this.computeCoreDistance(this.getCorePoints(bodyA, poseA), this.getCorePoints(bodyB, poseB));
+        const radii = this.getCoreRadius(bodyA) + this.getCoreRadius(bodyB);
+        
+        const offset = Vector2.subtract(core.pointB, core.pointA);
+        const length = Vector2.length(offset);
+        const normal = length > 0 ? Vector2.multiply(offset, 1 / length) : Vector2.normalize(Vector2.subtract(poseB.position, poseA.position));
+        return { distance: length > 0 ? length - radii : -radii, normal };
+    }
+    
+    // GJK distance between the convex hulls of two point sets. Works on the
+    // Minkowski difference A - B, keeping the support points from each set
+    // so the closest points can be recovered from the final simplex.
+    computeCoreDistance(pointsA, pointsB) {
+        const supportPoint = (points, direction) => {
+            let best = points[0];
+            let bestProjection = Vector2.dot(best, direction);
+            for (let i = 1; i < points.length; i++) {
+                const projection = Vector2.dot(points[i], direction);
+                if (projection > bestProjection) {
+                    best = points[i];
+                    bestProjection = projection;
+                }
+            }
+            return best;
+        };
+        const support = (direction) => {
+            const a = supportPoint(pointsA, direction);
+            const b = supportPoint(pointsB, Vector2.multiply(direction, -1));
+            return { a, b, w: Vector2.subtract(a, b) };
+        };
+        
+        let simplex = [support(Vector2.subtract(pointsB[0], pointsA[0]))];
+        let closest = null;
+        for (let iteration = 0; iteration < 32; iteration++) {
+            closest = this.closestOnSimplex(simplex);
+            simplex = closest.simplex;
+            if (closest.containsOrigin) {
+                return { pointA: closest.pointA, pointB: closest.pointA };
+            }
+            
+            const v = closest.point;
+            const vv = Vector2.dot(v, v);
+            if (vv < 1e-12) break;
+            
+            // Stop once the new support point gets no closer to the origin
+            const candidate = support(Vector2.multiply(v, -1));
+            if (vv - Vector2.dot(v, candidate.w) <= 1e-10 * vv) break;
+            if (simplex.some(vertex => vertex.w.x === candidate.w.x && vertex.w.y === candidate.w.y)) break;
+            simplex.push(candidate);
         }
-        return axes;
+        
+        return { pointA: closest.pointA, pointB: closest.pointB };
     }
     
-    projectVertices(vertices, axis) {
-        let min = Vector2.dot(vertices[0], axis);
-        let max = min;
+    // Closest point to the origin on a GJK simplex of 1-3 vertices, the
+    // smallest sub-simplex that still contains it, and the matching points
+    // on A and B by the same barycentric weights
+    closestOnSimplex(simplex) {
+        const fromWeights = (vertices, weights) => {
+            let point = new Vector2(0, 0);
+            let pointA = new Vector2(0, 0);
+            let pointB = new Vector2(0, 0);
+            vertices.forEach((vertex, i) => {
+                point = Vector2.add(point, Vector2.multiply(vertex.w, weights[i]));
+                pointA = Vector2.add(pointA, Vector2.multiply(vertex.a, weights[i]));
+                pointB = Vector2.add(pointB, Vector2.multiply(vertex.b, weights[i]));
+            });
+            return { point, pointA, pointB, simplex: vertices, containsOrigin: false };
+        };
+        const onSegment = (start, end) => {
+            const edge = Vector2.subtract(end.w, start.w);
+            const lengthSquared = Vector2.dot(edge, edge);
+            const t = lengthSquared > 0 ? -Vector2.dot(start.w, edge) / lengthSquared : 0;
+            if (t <= 0) return fromWeights([start], [1]);
+            if (t >= 1) return fromWeights([end], [1]);
+            return fromWeights([start, end], [1 - t, t]);
+        };
         
-        for (let i = 1; i < vertices.length; i++) {
-            const projection = Vector2.dot(vertices[i], axis);
-            if (projection < min) min = projection;
-            if (projection > max) max = projection;
+        if (simplex.length === 1) return fromWeights(simplex, [1]);
+        if (simplex.length === 2) return onSegment(simplex[0], simplex[1]);
+        
+        // Triangle: the origin is inside when it is on the same side of all edges
+        const [p0, p1, p2] = simplex;
+        const side0 = Vector2.cross(Vector2.subtract(p1.w, p0.w), Vector2.multiply(p0.w, -1));
+        const side1 = Vector2.cross(Vector2.subtract(p2.w, p1.w), Vector2.multiply(p1.w, -1));
+        const side2 = Vector2.cross(Vector2.subtract(p0.w, p2.w), Vector2.multiply(p2.w, -1));
+        if ((side0 >= 0 && side1 >= 0 && side2 >= 0) || (side0 <= 0 && side1 <= 0 && side2 <= 0)) {
+            const inside = fromWeights([p0], [1]);
+            inside.containsOrigin = true;
+            return inside;
         }
         
-        return { min, max };
-    }
-    
-    getCenter(vertices) {
-        let sum = new Vector2(0, 0);
-        for (const vertex of vertices) {
-            sum = Vector2.add(sum, vertex);
+        let best = null;
+        for (const [start, end] of [[p0, p1], [p1, p2], [p2, p0]]) {
+            const candidate = onSegment(start, end);
+            if (!best || Vector2.dot(candidate.point, candidate.point) < Vector2.dot(best.point, best.point)) {
+                best = candidate;
+            }
         }
-        return Vector2.multiply(sum, 1.0 / vertices.length);
+        return best;
     }
     
-    findContactPoints(vertices, rect) {
-        const contactPoints = [];
-
-        // Check if any vertex is inside the rectangle
-        const rectVertices = rect.getVertices();
-        for (const vertex of vertices) {
-            if (this.isPointInRectangle(vertex, rectVertices)) {
-                contactPoints.push(vertex);
+    calculateCollisionMasses() {
+        for (const contact of this.awakeContacts) {
+            // Calculate collision mass for each contact point
+            for (let i = 0; i < contact.contactPoints.length; i++) {
+                this.calculateCollisionMass(contact, i);
             }
         }
-        
-        return contactPoints;
     }
     
-    isPointInRectangle(point, rectVertices) {
-        // Simple point-in-polygon test using cross products
-        for (let i = 0; i < rectVertices.length; i++) {
-            const v1 = rectVertices[i];
-            const v2 = rectVertices[(i + 1) % rectVertices.length];
-            const edge = Vector2.subtract(v2, v1);
-            const toPoint = Vector2.subtract(point, v1);
-            
-            if (Vector2.cross(edge, toPoint) < 0) {
-                return false;
+    // Separating speed each contact point should leave with, from its
+    // approach speed before any impulse is applied. Slow impacts don't
+    // bounce, or resting bodies would never settle.
+    calculateRestitutionBiases() {
+        for (const contact of this.awakeContacts) {
+            for (let i = 0; i < contact.contactPoints.length; i++) {
+                const approachSpeed = -this.calculateImpulseMagnitude(contact, i,
+                    contact.bodyA.velocity, contact.bodyB.velocity, contact.bodyA.angularVelocity, contact.bodyB.angularVelocity,
+                    1, contact.normal, true);
+                contact.restitutionBiases[i] = approachSpeed > this.restitutionThreshold ? contact.material.restitution * approachSpeed : 0;
             }
         }
-        return true;
     }
     
-    resetDeltaVelocities() {
-        for (const body of this.bodies) {
-            body.deltaVelocity = new Vector2(0, 0);
-            body.deltaAngularVelocity = 0;
+    static solverModes = ['resting', 'sequential'];
+    
+    setSolverMode(mode, iterations = this.solverIterations) {
+        if (!PhysicsEngine.solverModes.includes(mode)) {
+            throw new Error(`Unknown solver mode ${mode}`);
         }
+        this.solverMode = mode;
+        this.solverIterations = iterations;
     }
     
-    applyForces() {
-        const gravityDelta = this.gravity;
+    // Alternative to the resting phases: classic sequential impulses. Every
+    // contact point is visited solverIterations times, and the accumulated
+    // impulse per point is clamped (normal never pulling, friction inside the
+    // Coulomb cone) instead of each pass's impulse, so the result depends far
+    // less on the order of this.contacts.
+    solveSequentialImpulses() {
+        this.calculateCollisionMasses();
+        this.calculateRestitutionBiases();
+        this.warmStartContacts();
+        this.prepareJoints();
         
-        for (const body of this.bodies) {
-            if (!body.isStatic) {
-                body.velocity = Vector2.add(body.velocity, gravityDelta);
-                body.deltaVelocity = Vector2.add(body.deltaVelocity, gravityDelta);
+        for (let iteration = 0; iteration < this.solverIterations; iteration++) {
+            this.solveJoints();
+            for (const contact of this.awakeContacts) {
+                for (let i = 0; i < contact.contactPoints.length; i++) {
+                    this.solveContactPoint(contact, i);
+                }
             }
         }
+        
+        this.storeContactImpulses();
+        this.integrateMotion();
+        this.separateObjects();
     }
     
-    integrateMotion() {
-        for (const body of this.bodies) {
-            if (!body.isStatic) {
-                body.position = Vector2.add(body.position, body.velocity);
-                body.angle += body.angularVelocity;
-            }
+    solveContactPoint(contact, i) {
+        const bodyA = contact.bodyA;
+        const bodyB = contact.bodyB;
+        
+        // Normal impulse, accumulated total kept non-negative
+        const normalMagnitude = this.calculateImpulseMagnitude(contact, i,
+            bodyA.velocity, bodyB.velocity, bodyA.angularVelocity, bodyB.angularVelocity,
+            contact.collisionMasses[i], contact.normal, true);
+        const oldNormalImpulse = contact.normalImpulses[i];
+        const bounceImpulse = contact.restitutionBiases[i] * contact.collisionMasses[i];
+        contact.normalImpulses[i] = Math.max(0, oldNormalImpulse - normalMagnitude + bounceImpulse);
+        contact.normalForceMagnitudes[i] = contact.normalImpulses[i];
+        this.applyImpulseToVelocities(contact, i,
+            Vector2.multiply(contact.normal, oldNormalImpulse - contact.normalImpulses[i]), true, false, false);
+        
+        // Friction impulse, accumulated total kept inside the friction cone of
+        // the current normal impulse; past the static limit it slides at the
+        // dynamic limit
+        const frictionMagnitude = this.calculateImpulseMagnitude(contact, i,
+            bodyA.velocity, bodyB.velocity, bodyA.angularVelocity, bodyB.angularVelocity,
+            contact.tangentialCollisionMasses[i], contact.tangent, true);
+        const combinedStaticFriction = contact.material.staticFriction;
+        const combinedDynamicFriction = contact.material.dynamicFriction;
+        
+        const oldTangentImpulse = contact.tangentImpulses[i];
+        let tangentImpulse = oldTangentImpulse + frictionMagnitude;
+        if (Math.abs(tangentImpulse) > contact.normalImpulses[i] * combinedStaticFriction) {
+            tangentImpulse = Math.sign(tangentImpulse) * contact.normalImpulses[i] * combinedDynamicFriction;
         }
+        contact.tangentImpulses[i] = tangentImpulse;
+        this.applyImpulseToVelocities(contact, i,
+            Vector2.multiply(contact.tangent, tangentImpulse - oldTangentImpulse), true, false, false);
     }
     
     separateObjects() {
-        for (const contact of this.contacts) {
+        for (const contact of this.awakeContacts) {
             // Process each contact point
             for (let i = 0; i < contact.contactPoints.length; i++) {
                 const contactPoint = contact.contactPoints[i];
@@ -536,7 +3308,7 @@ class PhysicsEngine {
     
     applyRestingForces() {
         // Phase 1: Use (delta + resting) velocities, apply to both real and delta
-        for (const contact of this.contacts) {
+        for (const contact of this.awakeContacts) {
             const cache = this.getContactCache(contact.bodyA, contact.bodyB);
             
             // Process each contact point
@@ -552,36 +3324,41 @@ class PhysicsEngine {
                 //const combinedAngVelA = - cache.restingAngularVelocityA;
                 //const combinedAngVelB = - cache.restingAngularVelocityB;
 
+                // Nothing pushes a kinematic body, so its resting velocity stays zero and bodies
+                // resting on it are held to its full surface velocity: they ride along with it
                 const combinedVelA = Vector2.subtract(contact.bodyA.velocity, cache.restingVelocityA);
                 const combinedVelB = Vector2.subtract(contact.bodyB.velocity, cache.restingVelocityB);
                 const combinedAngVelA = contact.bodyA.angularVelocity - cache.restingAngularVelocityA;
                 const combinedAngVelB = contact.bodyB.angularVelocity - cache.restingAngularVelocityB;
                 
-                // Normal force
-                const impulse = this.calculateImpulse(contact, i, combinedVelA, combinedVelB, combinedAngVelA, combinedAngVelB, 
-                    contact.collisionMasses[i], contact.normal, false);
+                // Normal force, accumulated on top of the warm start and never pulling
+                const normalMagnitude = this.calculateImpulseMagnitude(contact, i, combinedVelA, combinedVelB, combinedAngVelA, combinedAngVelB,
+                    contact.collisionMasses[i], contact.normal, true);
+                const oldNormalImpulse = contact.normalImpulses[i];
+                contact.normalImpulses[i] = Math.max(0, oldNormalImpulse - normalMagnitude);
+                const impulse = Vector2.multiply(contact.normal, oldNormalImpulse - contact.normalImpulses[i]);
 
                 // Store normal force magnitude for later phases
-                contact.normalForceMagnitudes[i] = Vector2.length(impulse);
+                contact.normalForceMagnitudes[i] = contact.normalImpulses[i];
 
                 // Friction force
-                const frictionImpulse = this.calculateImpulse(contact, i, combinedVelA, combinedVelB, combinedAngVelA, combinedAngVelB,
+                const frictionMagnitude = this.calculateImpulseMagnitude(contact, i, combinedVelA, combinedVelB, combinedAngVelA, combinedAngVelB,
                     contact.tangentialCollisionMasses[i], contact.tangent, true);
-                const combinedStaticFriction = Math.min(contact.bodyA.staticFriction, contact.bodyB.staticFriction);
-                const combinedDynamicFriction = Math.min(contact.bodyA.dynamicFriction, contact.bodyB.dynamicFriction);
+                const combinedStaticFriction = contact.material.staticFriction;
+                const combinedDynamicFriction = contact.material.dynamicFriction;
                 const maxStaticFriction = contact.normalForceMagnitudes[i] * combinedStaticFriction;
                 
-                // Combine impulses and apply once
-                let totalImpulse = impulse;
-                if (Vector2.length(frictionImpulse) <= maxStaticFriction) {
-                    totalImpulse = Vector2.add(impulse, frictionImpulse);
-               } else {
-                   // Apply dynamic friction
-                   const dynamicFriction = contact.normalForceMagnitudes[i] * combinedDynamicFriction;
-                   const frictionDirection = Vector2.normalize(frictionImpulse);
-                   const dynamicFrictionImpulse = Vector2.multiply(frictionDirection, dynamicFriction);
-                   totalImpulse = Vector2.add(impulse, dynamicFrictionImpulse);
+                const oldTangentImpulse = contact.tangentImpulses[i];
+                let tangentImpulse = oldTangentImpulse + frictionMagnitude;
+                if (Math.abs(tangentImpulse) > maxStaticFriction) {
+                    // Apply dynamic friction
+                    tangentImpulse = Math.sign(tangentImpulse) * contact.normalForceMagnitudes[i] * combinedDynamicFriction;
                 }
+                contact.tangentImpulses[i] = tangentImpulse;
+                const frictionImpulse = Vector2.multiply(contact.tangent, tangentImpulse - oldTangentImpulse);
+                
+                // Combine impulses and apply once
+                const totalImpulse = Vector2.add(impulse, frictionImpulse);
 
                 // Apply combined impulse to both real and delta velocities
                 // contact, contactPointIndex, impulse, applyToReal, applyToDelta, applyToResting
@@ -590,9 +3367,47 @@ class PhysicsEngine {
         }
     }
     
+    // Copies accumulated impulses from the cached points with the same feature id
+    matchContactPoints(contact, cache) {
+        for (let i = 0; i < contact.featureIds.length; i++) {
+            const cached = cache.pointImpulses.get(contact.featureIds[i]);
+            if (cached) {
+                contact.normalImpulses[i] = cached.normalImpulse;
+                contact.tangentImpulses[i] = cached.tangentImpulse;
+            }
+        }
+    }
+    
+    warmStartContacts() {
+        if (!this.warmStarting) return;
+        
+        for (const contact of this.awakeContacts) {
+            for (let i = 0; i < contact.contactPoints.length; i++) {
+                const impulse = Vector2.add(
+                    Vector2.multiply(contact.normal, -contact.normalImpulses[i]),
+                    Vector2.multiply(contact.tangent, contact.tangentImpulses[i]));
+                this.applyImpulseToVelocities(contact, i, impulse, true, false, false);
+            }
+        }
+    }
+    
+    // Points that are gone this tick drop out of the cache, sleeping contacts keep theirs
+    storeContactImpulses() {
+        for (const contact of this.awakeContacts) {
+            const cache = this.getContactCache(contact.bodyA, contact.bodyB);
+            cache.pointImpulses = new Map();
+            for (let i = 0; i < contact.contactPoints.length; i++) {
+                cache.pointImpulses.set(contact.featureIds[i], {
+                    normalImpulse: contact.normalImpulses[i],
+                    tangentImpulse: contact.tangentImpulses[i]
+                });
+            }
+        }
+    }
+    
     measureAndCorrectError() {
         // Phase 2: Use delta velocities, apply to delta and resting
-        for (const contact of this.contacts) {
+        for (const contact of this.awakeContacts) {
             const cache = this.getContactCache(contact.bodyA, contact.bodyB);
             
             // Process each contact point
@@ -608,8 +3423,8 @@ class PhysicsEngine {
                     contact.bodyA.velocity, contact.bodyB.velocity,
                     contact.bodyA.angularVelocity, contact.bodyB.deltaAngularVelocity,
                     contact.tangentialCollisionMasses[i], contact.tangent, true);
-                const combinedStaticFriction = Math.min(contact.bodyA.staticFriction, contact.bodyB.staticFriction);
-                const combinedDynamicFriction = Math.min(contact.bodyA.dynamicFriction, contact.bodyB.dynamicFriction);
+                const combinedStaticFriction = contact.material.staticFriction;
+                const combinedDynamicFriction = contact.material.dynamicFriction;
                 const maxStaticFriction = (contact.normalForceMagnitudes[i] + Vector2.length(impulse)) * combinedStaticFriction;
                 
                 // Combine impulses and apply once
@@ -623,6 +3438,17 @@ class PhysicsEngine {
                    const dynamicFrictionImpulse = Vector2.multiply(frictionDirection, dynamicFriction);
                    totalImpulse = Vector2.add(impulse, dynamicFrictionImpulse);
                 }
+                if (this.stats && this.stats.tick) this.stats.tick.errorCorrectionImpulse += Vector2.length(totalImpulse);
+                
+                if (this.warmStarting) {
+                    // The correction also goes into the accumulated point impulses, which
+                    // carry it into next tick's warm start; see restingVelocityRetention
+                    contact.normalImpulses[i] = Math.max(0, contact.normalImpulses[i] - Vector2.dot(totalImpulse, contact.normal));
+                    const tangentImpulse = contact.tangentImpulses[i] + Vector2.dot(totalImpulse, contact.tangent);
+                    contact.tangentImpulses[i] = Math.abs(tangentImpulse) <= contact.normalImpulses[i] * combinedStaticFriction
+                        ? tangentImpulse
+                        : Math.sign(tangentImpulse) * contact.normalImpulses[i] * combinedDynamicFriction;
+                }
                 
                 // Apply combined impulse to delta velocities and resting
                 // contact, contactPointIndex, impulse, applyToReal, applyToDelta, applyToResting
@@ -633,14 +3459,25 @@ class PhysicsEngine {
     
     applyNormalCollision() {
         // Phase 3: Use real velocities, apply to real velocities
-        for (const contact of this.contacts) {
+        for (const contact of this.awakeContacts) {
             // Process each contact point
             for (let i = 0; i < contact.contactPoints.length; i++) {
                 // Normal collision
-                const impulse = this.calculateImpulse(contact, i,
+                let impulse = this.calculateImpulse(contact, i,
                     contact.bodyA.velocity, contact.bodyB.velocity,
                     contact.bodyA.angularVelocity, contact.bodyB.angularVelocity,
                     contact.collisionMasses[i], contact.normal, false);
+                
+                // The resting phases have already stopped the impact, so a
+                // bouncing contact is pushed on until it separates at the
+                // speed its restitution asks for
+                if (contact.restitutionBiases[i] > 0) {
+                    const magnitude = this.calculateImpulseMagnitude(contact, i,
+                        contact.bodyA.velocity, contact.bodyB.velocity,
+                        contact.bodyA.angularVelocity, contact.bodyB.angularVelocity,
+                        contact.collisionMasses[i], contact.normal, true);
+                    impulse = Vector2.multiply(contact.normal, Math.min(0, magnitude - contact.restitutionBiases[i] * contact.collisionMasses[i]));
+                }
 
                 // Friction collision
                 const frictionImpulse = this.calculateImpulse(contact, i,
@@ -648,8 +3485,8 @@ class PhysicsEngine {
                     contact.bodyA.angularVelocity, contact.bodyB.angularVelocity,
                     contact.tangentialCollisionMasses[i], contact.tangent, true);
                 
-                const combinedStaticFriction = Math.min(contact.bodyA.staticFriction, contact.bodyB.staticFriction);
-                const combinedDynamicFriction = Math.min(contact.bodyA.dynamicFriction, contact.bodyB.dynamicFriction);
+                const combinedStaticFriction = contact.material.staticFriction;
+                const combinedDynamicFriction = contact.material.dynamicFriction;
                 const maxStaticFriction = (contact.normalForceMagnitudes[i] + Vector2.length(impulse)) * combinedStaticFriction;
                 
                 // Combine impulses and apply once
@@ -703,6 +3540,14 @@ class PhysicsEngine {
     }
     
     calculateImpulse(contact, contactPointIndex, velA, velB, angVelA, angVelB, collisionMass, direction, allowNegative = false, restitution = 0.0) {
+        const impulseMagnitude = this.calculateImpulseMagnitude(contact, contactPointIndex, velA, velB, angVelA, angVelB,
+            collisionMass, direction, allowNegative, restitution);
+        
+        return Vector2.multiply(direction, impulseMagnitude);
+    }
+    
+    // Signed impulse along direction (applied to A, opposite to B) that cancels the relative velocity
+    calculateImpulseMagnitude(contact, contactPointIndex, velA, velB, angVelA, angVelB, collisionMass, direction, allowNegative = false, restitution = 0.0) {
         const contactPoint = contact.contactPoints[contactPointIndex];
         
         const rA = Vector2.subtract(contactPoint, contact.bodyA.position);
@@ -715,12 +3560,10 @@ class PhysicsEngine {
         const relativeVelDirection = Vector2.dot(relativeVel, direction);
         
         if (relativeVelDirection < 0 && !allowNegative) {
-            return new Vector2(0, 0);
+            return 0;
         }
         
-        const impulseMagnitude = -(1.0 + restitution) * relativeVelDirection * collisionMass;
-        
-        return Vector2.multiply(direction, impulseMagnitude);
+        return -(1.0 + restitution) * relativeVelDirection * collisionMass;
     }
     
     applyImpulseToVelocities(contact, contactPointIndex, impulse, applyToReal, applyToDelta, applyToResting) {
@@ -771,6 +3614,161 @@ class PhysicsEngine {
         }
     }
 
+    addJoint(joint) {
+        if (joint.id === null) {
+            joint.id = this.nextJointId++;
+        }
+        this.joints.push(joint);
+        joint.bodyA.joints.push(joint);
+        joint.bodyB.joints.push(joint);
+        this.wakeBody(joint.bodyA);
+        this.wakeBody(joint.bodyB);
+        return joint;
+    }
+    
+    removeJoint(joint) {
+        const index = this.joints.indexOf(joint);
+        if (index === -1) return;
+        
+        this.joints.splice(index, 1);
+        joint.bodyA.joints.splice(joint.bodyA.joints.indexOf(joint), 1);
+        joint.bodyB.joints.splice(joint.bodyB.joints.indexOf(joint), 1);
+        this.wakeBody(joint.bodyA);
+        this.wakeBody(joint.bodyB);
+    }
+    
+    addMouseJoint(joint) {
+        this.mouseJoints.push(joint);
+        this.wakeBody(joint.body);
+        return joint;
+    }
+    
+    removeMouseJoint(joint) {
+        const index = this.mouseJoints.indexOf(joint);
+        if (index === -1) return;
+        
+        this.mouseJoints.splice(index, 1);
+        this.wakeBody(joint.body);
+    }
+    
+    // Picks the joints with an awake body, computes their per-tick data and
+    // re-applies last tick's impulses (or forgets them without warm starting)
+    prepareJoints() {
+        this.awakeJoints = this.joints.filter(joint => !this.isContactAsleep(joint));
+        
+        for (const joint of this.awakeJoints) {
+            // A joint cannot pull on a body that does not integrate
+            if (joint.bodyA.isSleeping) this.wakeBody(joint.bodyA);
+            if (joint.bodyB.isSleeping) this.wakeBody(joint.bodyB);
+            
+            joint.prepare(this.hz);
+            if (this.warmStarting) {
+                joint.warmStart();
+            } else {
+                joint.resetImpulses();
+            }
+        }
+        
+        for (const joint of this.mouseJoints) {
+            // A held body must not fall asleep in the user's hand
+            if (joint.body.isSleeping) this.wakeBody(joint.body);
+            joint.body.sleepTime = 0;
+            
+            joint.prepare(this.hz);
+            if (this.warmStarting) {
+                joint.warmStart();
+            } else {
+                joint.resetImpulses();
+            }
+            this.awakeJoints.push(joint);
+        }
+    }
+    
+    solveJoints() {
+        for (const joint of this.awakeJoints) {
+            joint.solveVelocity();
+        }
+    }
+    
+    // A contact needs solving only while at least one of its bodies can move
+    isContactAsleep(contact) {
+        return (contact.bodyA.isStatic || contact.bodyA.isSleeping) &&
+            (contact.bodyB.isStatic || contact.bodyB.isSleeping);
+    }
+    
+    updateSleep() {
+        if (!this.enableSleeping) return;
+        
+        for (const body of this.bodies) {
+            if (body.isStatic || body.isKinematic || body.isSleeping) continue;
+            
+            const isStill = Vector2.length(body.velocity) < this.sleepLinearThreshold &&
+                Math.abs(body.angularVelocity) < this.sleepAngularThreshold;
+            body.sleepTime = isStill ? body.sleepTime + 1 : 0;
+        }
+        
+        // An island only sleeps once every body in it has been still long enough
+        this.islands = this.buildIslands();
+        for (const island of this.islands) {
+            if (island.every(body => body.isSleeping)) continue;
+            if (!island.every(body => body.sleepTime >= this.timeToSleep)) continue;
+            
+            for (const body of island) {
+                body.isSleeping = true;
+                body.velocity = new Vector2(0, 0);
+                body.angularVelocity = 0;
+            }
+        }
+    }
+    
+    // Groups dynamic bodies connected through contacts and joints. Static and
+    // kinematic bodies do not join islands, otherwise everything on the ground
+    // would be one island.
+    buildIslands() {
+        const parent = new Map();
+        const find = (body) => {
+            while (parent.get(body) !== body) {
+                parent.set(body, parent.get(parent.get(body)));
+                body = parent.get(body);
+            }
+            return body;
+        };
+        
+        for (const body of this.bodies) {
+            if (!body.isStatic && !body.isKinematic) parent.set(body, body);
+        }
+        for (const contact of this.contacts) {
+            if (!parent.has(contact.bodyA) || !parent.has(contact.bodyB)) continue;
+            parent.set(find(contact.bodyA), find(contact.bodyB));
+        }
+        for (const joint of this.joints) {
+            if (!parent.has(joint.bodyA) || !parent.has(joint.bodyB)) continue;
+            parent.set(find(joint.bodyA), find(joint.bodyB));
+        }
+        
+        const islands = new Map();
+        for (const body of parent.keys()) {
+            const root = find(body);
+            if (!islands.has(root)) {
+                islands.set(root, []);
+            }
+            islands.get(root).push(body);
+            body.island = islands.get(root);
+        }
+        return [...islands.values()];
+    }
+    
+    // Wakes the body together with the rest of its island. Resting velocities
+    // stay in the contact cache so the stack picks up where it left off.
+    wakeBody(body) {
+        if (body.isStatic || body.isKinematic) return;
+        
+        for (const islandBody of body.island || [body]) {
+            islandBody.isSleeping = false;
+            islandBody.sleepTime = 0;
+        }
+    }
+    
     getContactCache(bodyA, bodyB) {
         const key = new ContactCache(bodyA, bodyB).key;
         return this.contactCache.get(key);
@@ -784,121 +3782,617 @@ class PhysicsEngine {
         }
     }
 
-    // Mouse interaction methods
-    handleMouseDown(x, y) {
-        this.isMouseDown = true;
-        this.mousePosition = new Vector2(x, y);
+    // Topmost body under the point, the last one drawn, for input controllers.
+    // Picking ignores collision filtering, so bodies that collide with nothing
+    // can still be grabbed.
+    getBodyAtPoint(point) {
+        const hits = this.queryPoint(point, { filter: null, includeSensors: true });
+        return hits.length > 0 ? hits[hits.length - 1] : null;
+    }
+    
+    // Spatial queries. Each takes options { filter, includeSensors }: the
+    // filter is a { category, mask, group } tested against bodies the way
+    // shouldCollide tests two bodies, defaulting to a body's default filter,
+    // or null to match every body; sensors are skipped unless includeSensors
+    // is set. Candidates come from the broad phase, and bodies are returned
+    // in the engine's body order.
+    queryCandidates(aabb, { filter = {}, includeSensors = false } = {}) {
+        return this.broadPhase.query(this.bodies, aabb)
+            .map(index => this.bodies[index])
+            .filter(body => (includeSensors || !body.isSensor) && (filter === null || this.queryFilterAllows(filter, body)));
+    }
+    
+    queryFilterAllows({ category = 0x0001, mask = 0xFFFF, group = 0 }, body) {
+        if (group !== 0 && group === body.collisionGroup) return group > 0;
+        return (mask & body.collisionCategory) !== 0 && (body.collisionMask & category) !== 0;
+    }
+    
+    // Bodies whose bounding boxes overlap { minX, minY, maxX, maxY }
+    queryAABB(aabb, options = {}) {
+        return this.queryCandidates(aabb, options);
+    }
+    
+    // Bodies containing the point
+    queryPoint(point, options = {}) {
+        const aabb = { minX: point.x, minY: point.y, maxX: point.x, maxY: point.y };
+        return this.queryCandidates(aabb, options).filter(body => this.isPointInBody(point, body));
+    }
+    
+    // Closest body the segment from -> to enters, as { body, point, normal,
+    // fraction } with the normal pointing out of the body and fraction the
+    // distance along the segment from 0 to 1, or null. Bodies the segment
+    // starts inside are not hits, so a ray can start in its caster.
+    rayCast(from, to, options = {}) {
+        const aabb = {
+            minX: Math.min(from.x, to.x), minY: Math.min(from.y, to.y),
+            maxX: Math.max(from.x, to.x), maxY: Math.max(from.y, to.y)
+        };
+        const direction = Vector2.subtract(to, from);
         
-        // Find the body under the mouse cursor
-        const bodyUnderMouse = this.getBodyAtPoint(this.mousePosition);
-        if (bodyUnderMouse && !bodyUnderMouse.isStatic) {
-            this.grabbedBody = bodyUnderMouse;
-            // Calculate offset from object center to mouse position
-            this.grabOffset = Vector2.subtract(this.mousePosition, bodyUnderMouse.position);
+        let closest = null;
+        for (const body of this.queryCandidates(aabb, options)) {
+            if (this.isPointInBody(from, body)) continue;
+            
+            const hit = this.rayCastBody(from, direction, body);
+            if (hit && (!closest || hit.fraction < closest.fraction)) {
+                closest = {
+                    body,
+                    point: Vector2.add(from, Vector2.multiply(direction, hit.fraction)),
+                    normal: hit.normal,
+                    fraction: hit.fraction
+                };
+            }
         }
+        return closest;
     }
     
-    handleMouseMove(x, y) {
-        this.mousePosition = new Vector2(x, y);
+    // Fraction along direction where the ray enters the body and the surface
+    // normal there, or null
+    rayCastBody(from, direction, body) {
+        switch (body.shapeType) {
+            case 'circle':
+                return this.rayCastCircle(from, direction, body.position, body.radius);
+            case 'capsule': {
+                // The core segment's two end circles and the box between them
+                const [start, end] = body.getSegment();
+                const side = Vector2.multiply(Vector2.normalize(Vector2.perpendicular(Vector2.subtract(end, start))), body.radius);
+                const hits = [
+                    this.rayCastCircle(from, direction, start, body.radius),
+                    this.rayCastCircle(from, direction, end, body.radius),
+                    this.rayCastPolygon(from, direction, [
+                        Vector2.add(start, side), Vector2.add(end, side),
+                        Vector2.subtract(end, side), Vector2.subtract(start, side)
+                    ])
+                ].filter(hit => hit);
+                return hits.reduce((closest, hit) => !closest || hit.fraction < closest.fraction ? hit : closest, null);
+            }
+            default:
+                return this.rayCastPolygon(from, direction, body.getVertices());
+        }
     }
     
-    handleMouseUp() {
-        this.isMouseDown = false;
-        this.grabbedBody = null;
-        this.grabOffset = new Vector2(0, 0);
+    rayCastCircle(from, direction, center, radius) {
+        const offset = Vector2.subtract(from, center);
+        const a = Vector2.dot(direction, direction);
+        const b = Vector2.dot(offset, direction);
+        const c = Vector2.dot(offset, offset) - radius * radius;
+        const discriminant = b * b - a * c;
+        if (a === 0 || c < 0 || discriminant < 0) return null;
+        
+        const fraction = (-b - Math.sqrt(discriminant)) / a;
+        if (fraction < 0 || fraction > 1) return null;
+        
+        const point = Vector2.add(from, Vector2.multiply(direction, fraction));
+        return { fraction, normal: Vector2.normalize(Vector2.subtract(point, center)) };
     }
     
-    getBodyAtPoint(point) {
-        // Check bodies in reverse order (top to bottom rendering)
-        for (let i = this.bodies.length - 1; i >= 0; i--) {
-            const body = this.bodies[i];
-            const vertices = body.getVertices();
-            if (this.isPointInRectangle(point, vertices)) {
-                return body;
+    // Clips the ray against each edge's half plane; the last edge it enters
+    // through is the one it hits. The vertices may be wound either way.
+    rayCastPolygon(from, direction, vertices) {
+        const isReversed = this.signedArea(vertices) < 0;
+        let lower = 0;
+        let upper = 1;
+        let normal = null;
+        for (let i = 0; i < vertices.length; i++) {
+            let edgeNormal = this.getOutwardNormal(vertices, i);
+            let distance = Vector2.dot(edgeNormal, Vector2.subtract(vertices[i], from));
+            if (isReversed) {
+                edgeNormal = Vector2.multiply(edgeNormal, -1);
+                distance = -distance;
             }
+            const approach = Vector2.dot(edgeNormal, direction);
+            
+            if (approach === 0) {
+                if (distance < 0) return null;
+            } else if (approach < 0 && distance < lower * approach) {
+                lower = distance / approach;
+                normal = edgeNormal;
+            } else if (approach > 0 && distance < upper * approach) {
+                upper = distance / approach;
+            }
+            if (upper < lower) return null;
         }
-        return null;
+        return normal ? { fraction: lower, normal } : null;
     }
     
-    updateMouseInteraction() {
-        if (this.grabbedBody && this.isMouseDown) {
-            // Calculate target position (mouse position minus grab offset)
-            const targetPosition = Vector2.subtract(this.mousePosition, this.grabOffset);
-            
-            // Move object position towards target by 10%
-            const positionDelta = Vector2.subtract(targetPosition, this.grabbedBody.position);
-            const newPosition = Vector2.add(this.grabbedBody.position, Vector2.multiply(positionDelta, 0.1));
-            this.grabbedBody.position = newPosition;
+    signedArea(vertices) {
+        let area = 0;
+        for (let i = 0; i < vertices.length; i++) {
+            area += Vector2.cross(vertices[i], vertices[(i + 1) % vertices.length]);
+        }
+        return area / 2;
+    }
+    
+    // Sweeps a body that is not in the world, e.g. new Circle(0, 0, 10), at
+    // its current angle from one position to another, and returns the first
+    // body it would touch as { body, point, normal, fraction, position } with
+    // position where the cast shape stops, or null. Bodies it overlaps at
+    // the start are not hits. Shares the conservative advancement used for
+    // bullets, so the shape stops within ccdTolerance of the hit.
+    shapeCast(shape, from, to, options = {}) {
+        const start = { position: from, angle: shape.angle };
+        const end = { position: to, angle: shape.angle };
+        
+        let closest = null;
+        for (const body of this.queryCandidates(this.getSweptAABB(shape, start, end), options)) {
+            if (body === shape) continue;
             
-            // Reduce velocity by 40%
-            this.grabbedBody.velocity = Vector2.multiply(this.grabbedBody.velocity, 0.6);
-            this.grabbedBody.angularVelocity *= 0.6;
+            const pose = { position: body.position, angle: body.angle };
+            const impact = this.computeTimeOfImpact(shape, start, end, body, pose, pose);
+            if (impact && (!closest || impact.time < closest.fraction)) {
+                const core = this.computeCoreDistance(
+                    this.getCorePoints(shape, { position: impact.position, angle: impact.angle }),
+                    this.getCorePoints(body, pose));
+                closest = {
+                    body,
+                    point: Vector2.subtract(core.pointB, Vector2.multiply(impact.normal, this.getCoreRadius(body))),
+                    normal: Vector2.multiply(impact.normal, -1),
+                    fraction: impact.time,
+                    position: impact.position
+                };
+            }
         }
+        return closest;
     }
-
+    
+    isPointInBody(point, body) {
+        switch (body.shapeType) {
+            case 'circle':
+                return Vector2.length(Vector2.subtract(point, body.position)) <= body.radius;
+            case 'capsule': {
+                const [start, end] = body.getSegment();
+                const closest = this.closestPointOnSegment(point, start, end);
+                return Vector2.length(Vector2.subtract(point, closest)) <= body.radius;
+            }
+            default:
+                return this.isPointInRectangle(point, body.getVertices());
+        }
+    }
+    
     applyRestingDecay() {
-        for (const contact of this.contacts) {
+        for (const contact of this.awakeContacts) {
             const cache = this.getContactCache(contact.bodyA, contact.bodyB);
 
-            let ff = 1;
+            let ff = this.warmStarting ? this.restingVelocityRetention : 1;
             cache.restingVelocityA = Vector2.multiply(cache.restingVelocityA, ff);
             cache.restingVelocityB = Vector2.multiply(cache.restingVelocityB, ff);
             cache.restingAngularVelocityA *= ff;
-            cache.restingAngularVelocityA *= ff;
+            cache.restingAngularVelocityB *= ff;
+        }
+    }
+    
+    // Scene serialization. saveState() returns a plain, JSON-safe object in
+    // the versioned scene format; loadState() replaces the whole world with
+    // one. Numbers go through JSON unchanged, so a world saved with its
+    // contact state continues bit-exactly after loading. Without contact
+    // state the warm-start and resting velocities start from zero again.
+    static sceneVersion = 2; // 2: joint motor speeds and limits are per second
+    
+    static jointFormats = {
+        revolute: {
+            create: (bodyA, bodyB) => new RevoluteJoint(bodyA, bodyB, bodyA.position),
+            fields: ['referenceAngle', 'enableLimit', 'lowerAngle', 'upperAngle', 'enableMotor', 'motorSpeed', 'maxMotorTorque',
+                'linearImpulse', 'motorImpulse', 'lowerImpulse', 'upperImpulse']
+        },
+        distance: {
+            create: (bodyA, bodyB) => new DistanceJoint(bodyA, bodyB, bodyA.position, bodyB.position),
+            fields: ['length', 'frequencyHz', 'dampingRatio', 'enableLimit', 'minLength', 'maxLength', 'enableMotor', 'motorSpeed', 'maxMotorForce',
+                'impulse', 'motorImpulse', 'lowerImpulse', 'upperImpulse']
+        },
+        prismatic: {
+            create: (bodyA, bodyB) => new PrismaticJoint(bodyA, bodyB, bodyA.position, new Vector2(1, 0)),
+            fields: ['localAxisA', 'referenceAngle', 'enableLimit', 'lowerTranslation', 'upperTranslation', 'enableMotor', 'motorSpeed', 'maxMotorForce',
+                'perpendicularImpulse', 'angularImpulse', 'motorImpulse', 'lowerImpulse', 'upperImpulse']
+        },
+        weld: {
+            create: (bodyA, bodyB) => new WeldJoint(bodyA, bodyB, bodyA.position),
+            fields: ['referenceAngle', 'frequencyHz', 'dampingRatio', 'linearImpulse', 'angularImpulse']
         }
+    };
+    
+    // Vectors become { x, y } and infinities strings, which JSON cannot hold
+    static encodeValue(value) {
+        if (value instanceof Vector2) return { x: value.x, y: value.y };
+        if (typeof value === 'number' && !Number.isFinite(value)) return String(value);
+        return value;
+    }
+    
+    static decodeValue(value) {
+        if (value !== null && typeof value === 'object') return new Vector2(value.x, value.y);
+        if (value === 'Infinity' || value === '-Infinity') return Number(value);
+        return value;
     }
     
-    render(ctx) {
-        ctx.clearRect(0, 0, this.worldWidth, this.worldHeight);
+    saveState(options = {}) {
+        const includeContacts = options.includeContacts !== undefined ? options.includeContacts : true;
+        const encode = PhysicsEngine.encodeValue;
         
-        // Render bodies
-        for (const body of this.bodies) {
-            this.renderRectangle(ctx, body);
+        const state = {
+            version: PhysicsEngine.sceneVersion,
+            worldWidth: this.worldWidth,
+            worldHeight: this.worldHeight,
+            hz: this.hz,
+            gravity: encode(this.gravity),
+            currentTime: this.currentTime,
+            settings: {
+                randomSeed: this.randomSeed,
+                frictionCombine: this.frictionCombine,
+                restitutionCombine: this.restitutionCombine,
+                restitutionThreshold: this.restitutionThreshold,
+                cacheTimeout: this.cacheTimeout,
+                enableSleeping: this.enableSleeping,
+                sleepLinearThreshold: this.sleepLinearThreshold,
+                sleepAngularThreshold: this.sleepAngularThreshold,
+                timeToSleep: this.timeToSleep,
+                warmStarting: this.warmStarting,
+                restingVelocityRetention: this.restingVelocityRetention,
+                solverMode: this.solverMode,
+                solverIterations: this.solverIterations,
+                jointIterations: this.jointIterations
+            },
+            broadPhase: this.serializeBroadPhase(this.broadPhase),
+            randomSeed: this.rng.seed,
+            nextBodyId: this.nextBodyId,
+            nextJointId: this.nextJointId,
+            bodies: this.bodies.map(body => this.serializeBody(body)),
+            joints: this.joints.map(joint => this.serializeJoint(joint)),
+            islands: this.islands.map(island => island.map(body => body.id))
+        };
+        
+        if (includeContacts) {
+            state.contacts = this.contacts.map(contact => ({
+                bodyA: contact.bodyA.id,
+                bodyB: contact.bodyB.id,
+                contactPoints: contact.contactPoints.map(encode),
+                normal: encode(contact.normal),
+                penetrations: contact.penetrations,
+                featureIds: contact.featureIds,
+                normalImpulses: contact.normalImpulses,
+                tangentImpulses: contact.tangentImpulses,
+                normalForceMagnitudes: contact.normalForceMagnitudes,
+                // Worked out once, when the contact is first solved, from the poses at
+                // the time; recomputed at the loaded poses they would differ
+                collisionMasses: contact.collisionMasses,
+                tangentialCollisionMasses: contact.tangentialCollisionMasses,
+                collisionMassesCalculated: contact.collisionMassesCalculated,
+                tangentialCollisionMassesCalculated: contact.tangentialCollisionMassesCalculated
+            }));
+            state.contactCache = [...this.contactCache.values()].map(cache => ({
+                bodyA: cache.bodyA.id,
+                bodyB: cache.bodyB.id,
+                restingVelocityA: encode(cache.restingVelocityA),
+                restingVelocityB: encode(cache.restingVelocityB),
+                restingAngularVelocityA: cache.restingAngularVelocityA,
+                restingAngularVelocityB: cache.restingAngularVelocityB,
+                pointImpulses: [...cache.pointImpulses.entries()],
+                lastUpdateTime: cache.lastUpdateTime
+            }));
         }
         
-        // Render contact points
-        ctx.fillStyle = 'red';
-        for (const contact of this.contacts) {
-            for (const contactPoint of contact.contactPoints) {
-                ctx.beginPath();
-                ctx.arc(contactPoint.x, contactPoint.y, 3, 0, 2 * Math.PI);
-                ctx.fill();
+        return state;
+    }
+    
+    // Accepts the object from saveState() or its JSON string. Emits 'reset',
+    // since the bodies controllers and overlays held on to are gone.
+    loadState(state) {
+        this.restoreState(state);
+        this.emit('reset');
+    }
+    
+    restoreState(state) {
+        if (typeof state === 'string') {
+            state = JSON.parse(state);
+        }
+        if (state.version !== PhysicsEngine.sceneVersion) {
+            throw new Error(`Unsupported scene version ${state.version}, expected ${PhysicsEngine.sceneVersion}`);
+        }
+        const decode = PhysicsEngine.decodeValue;
+        
+        this.worldWidth = state.worldWidth;
+        this.worldHeight = state.worldHeight;
+        this.hz = state.hz;
+        this.timeStep = 1 / this.hz;
+        this.accumulator = 0;
+        this.gravity = decode(state.gravity);
+        this.currentTime = state.currentTime;
+        Object.assign(this, state.settings);
+        this.broadPhase = this.deserializeBroadPhase(state.broadPhase);
+        
+        this.bodies = state.bodies.map(data => this.deserializeBody(data));
+        const bodiesById = new Map(this.bodies.map(body => [body.id, body]));
+        
+        this.joints = [];
+        this.awakeJoints = [];
+        this.mouseJoints = [];
+        for (const data of state.joints) {
+            const joint = this.deserializeJoint(data, bodiesById);
+            this.joints.push(joint);
+            joint.bodyA.joints.push(joint);
+            joint.bodyB.joints.push(joint);
+        }
+        
+        this.islands = state.islands.map(ids => ids.map(id => bodiesById.get(id)));
+        for (const island of this.islands) {
+            for (const body of island) {
+                body.island = island;
             }
         }
-        // Render grab indicator
-        if (this.grabbedBody && this.isMouseDown) {
-            ctx.strokeStyle = 'lime';
-            ctx.lineWidth = 3;
-            ctx.beginPath();
-            ctx.arc(this.grabbedBody.position.x, this.grabbedBody.position.y, Math.max(this.grabbedBody.width, this.grabbedBody.height) / 2 + 5, 0, 2 * Math.PI);
-            ctx.stroke();
+        
+        this.contacts = (state.contacts || []).map(data => {
+            const contact = new Contact(bodiesById.get(data.bodyA), bodiesById.get(data.bodyB),
+                data.contactPoints.map(decode), decode(data.normal), data.penetrations, data.featureIds);
+            contact.normalImpulses = data.normalImpulses;
+            contact.tangentImpulses = data.tangentImpulses;
+            contact.normalForceMagnitudes = data.normalForceMagnitudes;
+            contact.collisionMasses = data.collisionMasses;
+            contact.tangentialCollisionMasses = data.tangentialCollisionMasses;
+            contact.collisionMassesCalculated = data.collisionMassesCalculated;
+            contact.tangentialCollisionMassesCalculated = data.tangentialCollisionMassesCalculated;
+            return contact;
+        });
+        this.awakeContacts = [];
+        this.sensorContacts = [];
+        
+        // Loaded contacts are already touching, they don't begin again
+        this.touchingContacts = new Map(this.contacts.map(contact =>
+            [new ContactCache(contact.bodyA, contact.bodyB).key, contact]));
+        
+        this.contactCache.clear();
+        for (const data of state.contactCache || []) {
+            const cache = new ContactCache(bodiesById.get(data.bodyA), bodiesById.get(data.bodyB));
+            cache.restingVelocityA = decode(data.restingVelocityA);
+            cache.restingVelocityB = decode(data.restingVelocityB);
+            cache.restingAngularVelocityA = data.restingAngularVelocityA;
+            cache.restingAngularVelocityB = data.restingAngularVelocityB;
+            cache.pointImpulses = new Map(data.pointImpulses);
+            cache.lastUpdateTime = data.lastUpdateTime;
+            this.contactCache.set(cache.key, cache);
+        }
+        
+        this.rng.seed = state.randomSeed;
+        this.nextBodyId = state.nextBodyId;
+        this.nextJointId = state.nextJointId;
+    }
+    
+    serializeBody(body) {
+        const encode = PhysicsEngine.encodeValue;
+        
+        let shape;
+        switch (body.shapeType) {
+            case 'circle':
+                shape = { type: 'circle', radius: body.radius };
+                break;
+            case 'capsule':
+                shape = { type: 'capsule', length: body.length, radius: body.radius };
+                break;
+            default:
+                shape = {
+                    type: 'polygon',
+                    vertices: body.localVertices.map(encode),
+                    area: body.area,
+                    boundingRadius: body.boundingRadius
+                };
+                if (body instanceof Rectangle) {
+                    shape.type = 'rectangle';
+                    shape.width = body.width;
+                    shape.height = body.height;
+                }
+        }
+        
+        return {
+            id: body.id,
+            shape,
+            isStatic: body.isStatic,
+            isBullet: body.isBullet,
+            gravityScale: body.gravityScale,
+            isKinematic: body.isKinematic,
+            kinematicPath: body.kinematicPath && {
+                waypoints: body.kinematicPath.waypoints,
+                loop: body.kinematicPath.loop,
+                startTime: body.kinematicPath.startTime
+            },
+            isSensor: body.isSensor,
+            collisionFilter: {
+                category: body.collisionCategory,
+                mask: body.collisionMask,
+                group: body.collisionGroup
+            },
+            density: body.density,
+            mass: encode(body.mass),
+            inertia: encode(body.inertia),
+            material: {
+                name: body.material.name,
+                density: body.material.density,
+                staticFriction: body.material.staticFriction,
+                dynamicFriction: body.material.dynamicFriction,
+                restitution: body.material.restitution
+            },
+            position: encode(body.position),
+            angle: body.angle,
+            velocity: encode(body.velocity),
+            angularVelocity: body.angularVelocity,
+            isSleeping: body.isSleeping,
+            sleepTime: body.sleepTime,
+            color: body.color
+        };
+    }
+    
+    deserializeBody(data) {
+        const decode = PhysicsEngine.decodeValue;
+        const shape = data.shape;
+        const { x, y } = data.position;
+        
+        let body;
+        switch (shape.type) {
+            case 'circle':
+                body = new Circle(x, y, shape.radius, data.density, data.isStatic);
+                break;
+            case 'capsule':
+                body = new Capsule(x, y, shape.length, shape.radius, data.density, data.isStatic);
+                break;
+            case 'rectangle':
+                body = new Rectangle(x, y, shape.width, shape.height, decode(data.mass), data.isStatic);
+                break;
+            case 'polygon':
+                body = new Polygon(x, y, shape.vertices.map(decode), data.density, data.isStatic);
+                break;
+            default:
+                throw new Error(`Unknown shape type ${shape.type}`);
+        }
+        
+        // The constructors re-derive geometry and mass, which need not reproduce
+        // the saved values bit for bit, so take those from the scene
+        if (shape.vertices) {
+            body.localVertices = shape.vertices.map(decode);
+            body.area = shape.area;
+            body.boundingRadius = shape.boundingRadius;
+        }
+        body.density = data.density;
+        body.setMassData(decode(data.mass), decode(data.inertia));
+        
+        body.id = data.id;
+        body.isBullet = data.isBullet || false;
+        body.gravityScale = data.gravityScale !== undefined ? data.gravityScale : 1;
+        if (data.isKinematic) {
+            const path = data.kinematicPath;
+            body.setKinematic(true, path && new KinematicPath(path.waypoints, path));
+        }
+        body.isSensor = data.isSensor || false;
+        if (data.collisionFilter) {
+            body.collisionCategory = data.collisionFilter.category;
+            body.collisionMask = data.collisionFilter.mask;
+            body.collisionGroup = data.collisionFilter.group;
+        }
+        body.material = new Material(data.material.name || 'custom', data.material);
+        body.position = decode(data.position);
+        body.angle = data.angle;
+        body.velocity = decode(data.velocity);
+        body.angularVelocity = data.angularVelocity;
+        body.isSleeping = data.isSleeping;
+        body.sleepTime = data.sleepTime;
+        body.color = data.color;
+        return body;
+    }
+    
+    serializeJoint(joint) {
+        const encode = PhysicsEngine.encodeValue;
+        const data = {
+            type: joint.jointType,
+            id: joint.id,
+            bodyA: joint.bodyA.id,
+            bodyB: joint.bodyB.id,
+            localAnchorA: encode(joint.localAnchorA),
+            localAnchorB: encode(joint.localAnchorB),
+            collideConnected: joint.collideConnected
+        };
+        for (const field of PhysicsEngine.jointFormats[joint.jointType].fields) {
+            data[field] = encode(joint[field]);
+        }
+        return data;
+    }
+    
+    deserializeJoint(data, bodiesById) {
+        const decode = PhysicsEngine.decodeValue;
+        const format = PhysicsEngine.jointFormats[data.type];
+        if (!format) {
+            throw new Error(`Unknown joint type ${data.type}`);
+        }
+        
+        const joint = format.create(bodiesById.get(data.bodyA), bodiesById.get(data.bodyB));
+        joint.id = data.id;
+        joint.localAnchorA = decode(data.localAnchorA);
+        joint.localAnchorB = decode(data.localAnchorB);
+        joint.collideConnected = data.collideConnected;
+        for (const field of format.fields) {
+            joint[field] = decode(data[field]);
+        }
+        return joint;
+    }
+    
+    serializeBroadPhase(broadPhase) {
+        if (broadPhase instanceof SpatialHashBroadPhase) {
+            return { type: 'spatialHash', cellSize: broadPhase.cellSize, margin: broadPhase.margin, maxCellsPerBody: broadPhase.maxCellsPerBody };
+        }
+        if (broadPhase instanceof SweepAndPruneBroadPhase) {
+            return { type: 'sweepAndPrune', margin: broadPhase.margin };
+        }
+        return { type: 'bruteForce' };
+    }
+    
+    deserializeBroadPhase(data) {
+        switch (data.type) {
+            case 'spatialHash':
+                return new SpatialHashBroadPhase(data.cellSize, data.margin, data.maxCellsPerBody);
+            case 'sweepAndPrune':
+                return new SweepAndPruneBroadPhase(data.margin);
+            default:
+                return new BruteForceBroadPhase();
         }
     }
     
-    renderRectangle(ctx, rect) {
-        ctx.save();
-        ctx.translate(rect.position.x, rect.position.y);
-        ctx.rotate(rect.angle);
+    // Starts or stops collecting SolverStats into this.stats. Each start
+    // begins an empty history. Enabled while a tick runs, e.g. from a preStep
+    // listener, collecting starts with the next tick; until then stats.tick
+    // is null.
+    setStatsEnabled(enabled, historyLength) {
+        this.stats = enabled ? new SolverStats(historyLength) : null;
+    }
+    
+    markPhase(phase) {
+        if (this.stats && this.stats.tick) this.stats.mark(phase);
+    }
+    
+    // Counts and measurements of the state a tick ended in
+    collectStats() {
+        const tick = this.stats.tick;
+        tick.bodyCount = this.bodies.length;
+        tick.islandCount = this.islands.length;
+        tick.contactCount = this.contacts.length;
+        tick.awakeContactCount = this.awakeContacts.length;
+        tick.sensorContactCount = this.sensorContacts.length;
         
-        ctx.fillStyle = rect.color;
-        ctx.fillRect(-rect.width / 2, -rect.height / 2, rect.width, rect.height);
+        for (const body of this.bodies) {
+            if (body.invMass === 0) continue;
+            if (!body.isSleeping) tick.awakeBodyCount++;
+            
+            const speed = Vector2.length(body.velocity) * this.hz;
+            const angularSpeed = body.angularVelocity * this.hz;
+            tick.kineticEnergy += 0.5 * body.mass * speed * speed + 0.5 * body.inertia * angularSpeed * angularSpeed;
+        }
         
-        ctx.strokeStyle = '#ffffff';
-        ctx.lineWidth = 1;
-        ctx.strokeRect(-rect.width / 2, -rect.height / 2, rect.width, rect.height);
+        for (const contact of this.contacts) {
+            tick.contactPointCount += contact.contactPoints.length;
+            for (const penetration of contact.penetrations) {
+                tick.maxPenetration = Math.max(tick.maxPenetration, penetration);
+            }
+        }
         
-        // Draw velocity vector
-        if (!rect.isStatic) {
-            ctx.strokeStyle = 'yellow';
-            ctx.lineWidth = 2;
-            ctx.beginPath();
-            ctx.moveTo(0, 0);
-            const velScale = 0.1;
-            ctx.lineTo(rect.velocity.x * velScale, rect.velocity.y * velScale);
-            ctx.stroke();
+        for (const cache of this.contactCache.values()) {
+            const drift = Math.max(Vector2.length(cache.restingVelocityA), Vector2.length(cache.restingVelocityB)) * this.hz;
+            tick.restingVelocityDrift = Math.max(tick.restingVelocityDrift, drift);
         }
         
-        ctx.restore();
+        this.stats.endTick();
     }
     
     // Utility methods
@@ -911,11 +4405,24 @@ class PhysicsEngine {
     }
     
     reset() {
+        this.rng.reset(this.randomSeed);
+        this.nextBodyId = 0;
+        this.nextJointId = 0;
         this.bodies = [];
         this.contacts = [];
         this.contactCache.clear();
+        this.joints = [];
+        this.awakeJoints = [];
+        this.mouseJoints = [];
+        this.forceGenerators = [];
+        this.islands = [];
+        this.awakeContacts = [];
+        this.sensorContacts = [];
+        this.touchingContacts = new Map();
+        this.pendingChanges = [];
         this.currentTime = 0;
         this.initializeWorld();
+        this.emit('reset');
     }
     
     togglePause() {
@@ -0,0 +1,125 @@
+// Deterministic input recording and replay.
+//
+// A recording is the engine's scene and the controller's grab state at the
+// moment recording started, the engine's reset seed, every input the
+// controller handled tagged with the number of ticks stepped before it
+// arrived, and the engine's state hash after every tick. Because the engine
+// is deterministic, feeding the same inputs in at the same ticks reproduces
+// the same hashes; the first tick where they differ is where a change to
+// the solver made the runs diverge.
+export const recordingVersion = 3;
+
+export class InputRecorder {
+    constructor(engine, controller) {
+        this.engine = engine;
+        this.controller = controller;
+        this.recording = null;
+        
+        this.recordInput = this.recordInput.bind(this);
+        this.recordTick = this.recordTick.bind(this);
+    }
+    
+    isRecording() {
+        return this.recording !== null;
+    }
+    
+    start() {
+        this.recording = {
+            version: recordingVersion,
+            seed: this.engine.randomSeed,
+            scene: this.engine.saveState(),
+            controller: this.controller.saveState(),
+            inputs: [],
+            hashes: []
+        };
+        this.engine.on('input', this.recordInput);
+        this.engine.on('postStep', this.recordTick);
+    }
+    
+    // Returns the finished recording, a JSON-safe object
+    stop() {
+        this.engine.off('input', this.recordInput);
+        this.engine.off('postStep', this.recordTick);
+        
+        const recording = this.recording;
+        this.recording = null;
+        return recording;
+    }
+    
+    recordInput(input) {
+        this.recording.inputs.push({ tick: this.recording.hashes.length, ...input });
+    }
+    
+    recordTick() {
+        this.recording.hashes.push(this.engine.stateHash);
+    }
+}
+
+// Drives the engine through a recording. Call step() instead of
+// engine.update() until isFinished(); divergentTick is then the first tick
+// whose hash did not match the recording, or -1. The controller ignores live
+// input until the replay finishes or stop() is called.
+export class InputReplay {
+    constructor(engine, controller, recording) {
+        if (recording.version !== recordingVersion) {
+            throw new Error(`Unsupported recording version ${recording.version}, expected ${recordingVersion}`);
+        }
+        this.engine = engine;
+        this.controller = controller;
+        this.recording = recording;
+        this.tick = 0;
+        this.nextInput = 0;
+        this.divergentTick = -1;
+        this.hashes = [];
+        
+        engine.loadState(recording.scene);
+        engine.randomSeed = recording.seed;
+        controller.loadState(recording.controller);
+        controller.isReplaying = true;
+    }
+    
+    isFinished() {
+        return this.tick >= this.recording.hashes.length;
+    }
+    
+    step() {
+        const inputs = this.recording.inputs;
+        while (this.nextInput < inputs.length && inputs[this.nextInput].tick === this.tick) {
+            const { tick, ...input } = inputs[this.nextInput++];
+            this.controller.handleInput(input);
+        }
+        
+        this.engine.update();
+        this.hashes.push(this.engine.stateHash);
+        if (this.divergentTick === -1 && this.engine.stateHash !== this.recording.hashes[this.tick]) {
+            this.divergentTick = this.tick;
+        }
+        this.tick++;
+        if (this.isFinished()) this.stop();
+    }
+    
+    // Hands the controller back to live input
+    stop() {
+        this.controller.isReplaying = false;
+    }
+    
+    // Replays the remaining ticks, stopping at the first divergence unless
+    // told otherwise, and returns the divergent tick or -1
+    run(stopAtDivergence = true) {
+        while (!this.isFinished()) {
+            this.step();
+            if (stopAtDivergence && this.divergentTick !== -1) break;
+        }
+        return this.divergentTick;
+    }
+}
+
+// First index where two per-tick hash lists differ, or -1 if one is a
+// prefix of the other
+export function findFirstDivergence(hashesA, hashesB) {
+    const length = Math.min(hashesA.length, hashesB.length);
+    for (let i = 0; i < length; i++) {
+        if (hashesA[i] !== hashesB[i]) return i;
+    }
+    return -1;
+}
@@ -0,0 +1,157 @@
+import { Vector2 } from './physics.js';
+
+// Canvas 2D renderer. Draws the engine's state after every engine.step(),
+// with bodies interpolated between the last two ticks by the step's alpha so
+// motion stays smooth when the display and tick rates differ. The engine
+// itself knows nothing about canvases.
+export class Renderer {
+    constructor(engine, ctx, options = {}) {
+        this.engine = engine;
+        this.ctx = ctx;
+        
+        // Optional input controller whose grab is highlighted
+        this.controller = options.controller || null;
+        
+        // Drawn on top of the scene, see DebugDraw
+        this.overlays = [];
+        
+        this.render = this.render.bind(this);
+        engine.on('frame', this.render);
+        engine.on('reset', this.render);
+    }
+    
+    detach() {
+        this.engine.off('frame', this.render);
+        this.engine.off('reset', this.render);
+    }
+    
+    addOverlay(overlay) {
+        this.overlays.push(overlay);
+    }
+    
+    removeOverlay(overlay) {
+        const index = this.overlays.indexOf(overlay);
+        if (index !== -1) this.overlays.splice(index, 1);
+    }
+    
+    // Pose between the start and end of the last tick
+    getPose(body, alpha) {
+        if (!body.previousPosition) {
+            return { position: body.position, angle: body.angle };
+        }
+        const previous = body.previousPosition;
+        return {
+            position: new Vector2(
+                previous.x + (body.position.x - previous.x) * alpha,
+                previous.y + (body.position.y - previous.y) * alpha),
+            angle: body.previousAngle + (body.angle - body.previousAngle) * alpha
+        };
+    }
+    
+    // alpha defaults to the current state, for drawing outside engine.step()
+    render(alpha = 1) {
+        const ctx = this.ctx;
+        const engine = this.engine;
+        ctx.clearRect(0, 0, engine.worldWidth, engine.worldHeight);
+        
+        // Render bodies
+        for (const body of engine.bodies) {
+            this.renderBody(body, alpha);
+        }
+        
+        // Render joints as anchor-to-anchor lines through the body centres
+        ctx.strokeStyle = 'cyan';
+        ctx.lineWidth = 2;
+        for (const joint of engine.joints) {
+            const poseA = this.getPose(joint.bodyA, alpha);
+            const poseB = this.getPose(joint.bodyB, alpha);
+            const anchorA = Vector2.add(poseA.position, Vector2.rotate(joint.localAnchorA, poseA.angle));
+            const anchorB = Vector2.add(poseB.position, Vector2.rotate(joint.localAnchorB, poseB.angle));
+            ctx.beginPath();
+            ctx.moveTo(poseA.position.x, poseA.position.y);
+            ctx.lineTo(anchorA.x, anchorA.y);
+            ctx.lineTo(anchorB.x, anchorB.y);
+            ctx.lineTo(poseB.position.x, poseB.position.y);
+            ctx.stroke();
+        }
+        
+        // Render grab indicators, with the springs from the grab points to the pointers
+        for (const mouseJoint of this.controller ? this.controller.getMouseJoints() : []) {
+            const body = mouseJoint.body;
+            const pose = this.getPose(body, alpha);
+            const anchor = Vector2.add(pose.position, Vector2.rotate(mouseJoint.localAnchor, pose.angle));
+            ctx.strokeStyle = 'lime';
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            ctx.arc(pose.position.x, pose.position.y, body.boundingRadius + 5, 0, 2 * Math.PI);
+            ctx.stroke();
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(anchor.x, anchor.y);
+            ctx.lineTo(mouseJoint.target.x, mouseJoint.target.y);
+            ctx.stroke();
+        }
+        
+        for (const overlay of this.overlays) {
+            overlay.render(alpha);
+        }
+    }
+    
+    renderBody(body, alpha = 1) {
+        const ctx = this.ctx;
+        const pose = this.getPose(body, alpha);
+        ctx.save();
+        ctx.translate(pose.position.x, pose.position.y);
+        ctx.rotate(pose.angle);
+        
+        ctx.beginPath();
+        switch (body.shapeType) {
+            case 'circle':
+                this.traceCircle(body);
+                break;
+            case 'capsule':
+                this.traceCapsule(body);
+                break;
+            default:
+                this.tracePolygon(body);
+        }
+        
+        // Sensors are drawn see-through, they don't block anything
+        ctx.globalAlpha = body.isSensor ? 0.3 : 1;
+        ctx.fillStyle = body.color || '#888888';
+        ctx.fill();
+        ctx.globalAlpha = 1;
+        
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 1;
+        ctx.stroke();
+        
+        ctx.restore();
+    }
+    
+    // Shape outlines in body-local coordinates
+    tracePolygon(body) {
+        const ctx = this.ctx;
+        ctx.moveTo(body.localVertices[0].x, body.localVertices[0].y);
+        for (let i = 1; i < body.localVertices.length; i++) {
+            ctx.lineTo(body.localVertices[i].x, body.localVertices[i].y);
+        }
+        ctx.closePath();
+    }
+    
+    traceCircle(body) {
+        const ctx = this.ctx;
+        ctx.arc(0, 0, body.radius, 0, 2 * Math.PI);
+        // Radius line so rotation is visible
+        ctx.moveTo(0, 0);
+        ctx.lineTo(body.radius, 0);
+    }
+    
+    traceCapsule(body) {
+        const ctx = this.ctx;
+        const halfLength = body.length / 2;
+        ctx.arc(halfLength, 0, body.radius, -Math.PI / 2, Math.PI / 2);
+        ctx.arc(-halfLength, 0, body.radius, Math.PI / 2, 3 * Math.PI / 2);
+        ctx.closePath();
+    }
+}
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PhysicsEngine, BruteForceBroadPhase, SweepAndPruneBroadPhase, SpatialHashBroadPhase } from '../physics.js';
+
+const broadPhases = {
+    sweepAndPrune: () => new SweepAndPruneBroadPhase(),
+    spatialHash: () => new SpatialHashBroadPhase()
+};
+
+// Bodies of every shape on a jittered grid, falling into a pile
+function buildScene(seed, broadPhase) {
+    const engine = new PhysicsEngine(800, 600, { seed, broadPhase });
+    const shapes = [
+        { shape: 'rectangle', width: 40, height: 30 },
+        { shape: 'circle', radius: 18 },
+        { shape: 'capsule', length: 30, radius: 12 },
+        { shape: 'polygon', sides: 5, radius: 22 }
+    ];
+    for (let i = 0; i < 48; i++) {
+        engine.createBody({
+            ...shapes[i % shapes.length],
+            x: 80 + (i % 12) * 55 + engine.random() * 10,
+            y: 60 + Math.floor(i / 12) * 70,
+            angle: engine.random() * Math.PI
+        });
+    }
+    engine.addChain();
+    return engine;
+}
+
+// Pairs that reach the narrow phase and touch there, in the order the
+// engine would solve them
+function collidingPairs(engine) {
+    return engine.broadPhase.getPairs(engine.bodies)
+        .filter(([i, j]) => engine.checkSATCollision(engine.bodies[i], engine.bodies[j]))
+        .map(([i, j]) => `${engine.bodies[i].id}_${engine.bodies[j].id}`);
+}
+
+for (const [name, createBroadPhase] of Object.entries(broadPhases)) {
+    test(`${name} finds the same colliding pairs as brute force`, () => {
+        for (const seed of [1, 2, 3]) {
+            const reference = buildScene(seed, new BruteForceBroadPhase());
+            const engine = buildScene(seed, createBroadPhase());
+            
+            for (let tick = 0; tick < 240; tick++) {
+                if (tick % 20 === 0) {
+                    assert.deepEqual(collidingPairs(engine), collidingPairs(reference), `seed ${seed}, tick ${tick}`);
+                }
+                reference.update();
+                engine.update();
+                assert.equal(engine.stateHash, reference.stateHash, `seed ${seed}, tick ${tick}`);
+            }
+        }
+    });
+}
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PhysicsEngine, Rectangle } from '../physics.js';
+
+// The 8x8 box addBullet fires, 40 pixels a tick at 60 Hz, well over the
+// ground's 50 pixel thickness once gravity has added to it
+function fireAtGround(options, isBullet) {
+    const engine = new PhysicsEngine(800, 600, options);
+    const bullet = engine.createBody({
+        shape: 'rectangle', width: 8, height: 8, x: 400, y: 20, mass: 0.2,
+        isBullet, velocity: { x: 0, y: 2400 }
+    });
+    for (let tick = 0; tick < 180; tick++) {
+        engine.update();
+    }
+    return bullet;
+}
+
+test('a bullet stops at the ground and comes to rest on it', () => {
+    const bullet = fireAtGround({}, true);
+
+    assert.ok(Math.abs(bullet.position.y - 546) < 1, `y ${bullet.position.y}`);
+    assert.ok(bullet.isSleeping);
+});
+
+test('without CCD the same box tunnels through the ground', () => {
+    assert.ok(fireAtGround({}, false).position.y > 600);
+    assert.ok(fireAtGround({ enableCCD: false }, true).position.y > 600);
+});
+
+test('a bullet stops at a wall thinner than it moves in one tick', () => {
+    const engine = new PhysicsEngine(800, 600);
+    engine.setGravity(0, 0);
+    engine.addBody(new Rectangle(600, 300, 4, 200, 1, true));
+    const bullet = engine.createBody({ shape: 'circle', radius: 3, x: 400, y: 300, isBullet: true, velocity: { x: 6000, y: 0 } });
+    for (let tick = 0; tick < 30; tick++) {
+        engine.update();
+    }
+
+    // The wall's near face is at x = 598
+    assert.ok(Math.abs(bullet.position.x - 595) < 1, `x ${bullet.position.x}`);
+});
@@ -0,0 +1,121 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PhysicsEngine, Vector2 } from '../physics.js';
+import { MouseController } from '../controller.js';
+
+function run(engine, ticks) {
+    for (let tick = 0; tick < ticks; tick++) {
+        engine.update();
+    }
+}
+
+// A 40x30 box resting on the ground, with a controller attached to the engine
+function createScene(mass) {
+    const engine = new PhysicsEngine(800, 600);
+    const controller = new MouseController(engine);
+    const box = engine.createBody({ shape: 'rectangle', width: 40, height: 30, x: 500, y: 535, mass });
+    run(engine, 30);
+    return { engine, controller, box };
+}
+
+test('a grabbed body is lifted to the pointer whatever its mass', () => {
+    for (const mass of [1, 20]) {
+        const { engine, controller, box } = createScene(mass);
+        controller.handleMouseDown(500, 535);
+        assert.equal(controller.getMouseJoints().length, 1);
+        assert.ok(!box.isSleeping);
+
+        controller.handleMouseMove(500, 400);
+        run(engine, 120);
+        assert.ok(Vector2.length(Vector2.subtract(box.position, new Vector2(500, 400))) < 2, `mass ${mass}: at ${box.position.x}, ${box.position.y}`);
+        assert.ok(Math.abs(box.angle) < 0.01);
+    }
+});
+
+test('a body held off centre swings round the grab point', () => {
+    const { engine, controller, box } = createScene();
+    controller.handleMouseDown(515, 525);
+    controller.handleMouseMove(515, 400);
+    run(engine, 240);
+
+    const joint = controller.getMouseJoints()[0];
+    const anchor = Vector2.add(box.position, Vector2.rotate(joint.localAnchor, box.angle));
+    assert.ok(Vector2.length(Vector2.subtract(anchor, new Vector2(515, 400))) < 1);
+    assert.ok(box.position.y > anchor.y);
+    assert.ok(Math.abs(box.angle) > 0.5, `angle ${box.angle}`);
+});
+
+test('the grab cannot force a body through the ground', () => {
+    const { engine, controller, box } = createScene();
+    controller.handleMouseDown(500, 535);
+    controller.handleMouseMove(500, 700);
+    let lowest = 0;
+    for (let tick = 0; tick < 120; tick++) {
+        engine.update();
+        lowest = Math.max(lowest, box.position.y);
+    }
+
+    assert.ok(lowest < 541, `pushed down to ${lowest}`);
+});
+
+test('letting go throws the body with the pointer velocity, up to maxThrowSpeed', () => {
+    const { engine, controller, box } = createScene();
+    controller.handleMouseDown(500, 535);
+    controller.handleMouseMove(500, 400);
+    run(engine, 60);
+    for (let tick = 1; tick <= 10; tick++) {
+        controller.handleMouseMove(500 + tick * 10, 400);
+        engine.update();
+    }
+    controller.handleMouseUp();
+
+    // 10 pixels a tick is 600 pixels/second, smoothed over the last ticks
+    const velocity = engine.getBodyVelocity(box);
+    assert.ok(Math.abs(velocity.x - 600) < 1 && Math.abs(velocity.y) < 1e-6, `thrown at ${velocity.x}, ${velocity.y}`);
+    assert.equal(engine.mouseJoints.length, 0);
+
+    controller.handleMouseDown(box.position.x, box.position.y);
+    for (let tick = 1; tick <= 5; tick++) {
+        controller.handleMouseMove(box.position.x + tick * 100, box.position.y - tick * 50);
+        engine.update();
+    }
+    controller.handleMouseUp();
+    assert.ok(Math.abs(Vector2.length(engine.getBodyVelocity(box)) - controller.maxThrowSpeed) < 1e-6);
+});
+
+test('static bodies cannot be grabbed', () => {
+    const { controller } = createScene();
+    controller.handleMouseDown(400, 575);
+
+    assert.equal(controller.getMouseJoints().length, 0);
+});
+
+test('the right button tools spawn, freeze and delete', () => {
+    const engine = new PhysicsEngine(800, 600);
+    const controller = new MouseController(engine);
+    const ground = engine.bodies[0];
+    const count = engine.bodies.length;
+
+    controller.handleToolClick(600, 300);
+    assert.equal(engine.bodies.length, count + 1);
+    const box = engine.bodies[engine.bodies.length - 1];
+    assert.deepEqual([box.position.x, box.position.y], [600, 300]);
+
+    controller.setTool('freeze');
+    controller.handleToolClick(600, 300);
+    assert.ok(box.isStatic);
+    run(engine, 30);
+    assert.equal(box.position.y, 300);
+    controller.handleToolClick(600, 300);
+    assert.ok(!box.isStatic);
+
+    // Frozen bodies can be deleted, the scene's static bodies cannot
+    controller.handleToolClick(600, 300);
+    controller.setTool('delete');
+    controller.handleToolClick(600, 300);
+    assert.ok(!engine.bodies.includes(box));
+    controller.handleToolClick(400, 575);
+    assert.ok(engine.bodies.includes(ground));
+
+    assert.throws(() => controller.setTool('paint'), /Unknown tool paint/);
+});
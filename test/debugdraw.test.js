@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PhysicsEngine, Vector2 } from '../physics.js';
+import { Renderer } from '../renderer.js';
+import { DebugDraw } from '../debugdraw.js';
+
+// Stands in for a canvas 2D context, recording each call by name
+function createRecordingContext() {
+    const calls = [];
+    const target = {
+        calls,
+        measureText: (text) => ({ width: text.length * 7 })
+    };
+    return new Proxy(target, {
+        get(target, name) {
+            if (!(name in target)) target[name] = (...args) => calls.push({ name, args });
+            return target[name];
+        }
+    });
+}
+
+// A box resting on the ground, drawn with a debug overlay
+function createScene(options) {
+    const engine = new PhysicsEngine(800, 600);
+    const box = engine.createBody({ shape: 'rectangle', width: 40, height: 30, x: 500, y: 535 });
+    for (let tick = 0; tick < 10; tick++) {
+        engine.update();
+    }
+    const ctx = createRecordingContext();
+    const renderer = new Renderer(engine, ctx);
+    const debugDraw = new DebugDraw(renderer, options);
+    return { engine, box, ctx, renderer, debugDraw };
+}
+
+const callsTo = (ctx, name) => ctx.calls.filter(call => call.name === name);
+
+test('contacts and velocities are drawn until their layers are switched off', () => {
+    const { ctx, renderer, debugDraw } = createScene();
+    assert.deepEqual(Object.keys(debugDraw.layers).filter(name => debugDraw.layers[name]), ['contacts', 'velocities']);
+
+    renderer.render();
+    const withLayers = ctx.calls.length;
+    ctx.calls.length = 0;
+    debugDraw.toggleLayer('contacts');
+    debugDraw.setLayer('velocities', false);
+    renderer.render();
+    assert.ok(ctx.calls.length < withLayers);
+
+    assert.throws(() => debugDraw.setLayer('wireframe', true), /Unknown debug layer wireframe/);
+});
+
+test('every layer draws something for a resting box', () => {
+    const { engine, ctx, renderer } = createScene({ layers: Object.fromEntries(Object.keys(DebugDraw.layers).map(name => [name, true])) });
+    renderer.render();
+
+    assert.equal(callsTo(ctx, 'strokeRect').length, engine.bodies.length);
+    const labels = callsTo(ctx, 'fillText').map(call => call.args[0]);
+    const points = engine.contacts.reduce((count, contact) => count + contact.contactPoints.length, 0);
+    assert.equal(labels.filter(label => label.startsWith('m ')).length, points);
+    assert.ok(points > 0);
+});
+
+test('inspecting a body shows its numbers until it is destroyed', () => {
+    const { engine, box, ctx, renderer, debugDraw } = createScene();
+
+    assert.equal(debugDraw.inspect(new Vector2(500, 535)), box);
+    renderer.render();
+    const lines = callsTo(ctx, 'fillText').map(call => call.args[0]);
+    assert.ok(lines[0].startsWith(`Body ${box.id} (polygon)`));
+    assert.ok(lines.some(line => line === `contact with ${engine.bodies[0].id}`));
+    assert.ok(lines.some(line => line.includes('px/s')));
+
+    engine.destroyBody(box);
+    assert.equal(debugDraw.inspectedBody, null);
+    assert.equal(debugDraw.inspect(new Vector2(500, 100)), null);
+});
+
+test('a detached overlay stops drawing', () => {
+    const { ctx, renderer, debugDraw } = createScene({ layers: { aabbs: true } });
+    debugDraw.detach();
+    renderer.render();
+
+    assert.equal(callsTo(ctx, 'strokeRect').length, 0);
+});
@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PhysicsEngine, Circle } from '../physics.js';
+
+const involves = (event, body) => event.bodyA === body || event.bodyB === body;
+
+test('a bouncing ball begins and ends a contact with every bounce', () => {
+    const engine = new PhysicsEngine(800, 600);
+    const ball = engine.createBody({ shape: 'circle', radius: 10, x: 500, y: 400, material: 'rubber' });
+    const events = [];
+    engine.onBeginContact(event => involves(event, ball) && events.push({ type: 'begin', impulse: event.totalImpulse }));
+    engine.onStayContact(event => involves(event, ball) && events.push({ type: 'stay' }));
+    engine.onEndContact(event => involves(event, ball) && events.push({ type: 'end' }));
+    for (let tick = 0; tick < 600; tick++) {
+        engine.update();
+    }
+
+    const begins = events.filter(event => event.type === 'begin');
+    assert.ok(begins.length >= 3, `${begins.length} bounces`);
+    assert.equal(events[0].type, 'begin');
+    // Every begin is closed by an end before the next begins
+    let touching = false;
+    for (const event of events) {
+        if (event.type === 'begin') assert.ok(!touching);
+        if (event.type !== 'begin') assert.ok(touching);
+        touching = event.type !== 'end';
+    }
+    // Each bounce lands softer than the last
+    for (let i = 1; i < begins.length; i++) {
+        assert.ok(begins[i].impulse < begins[i - 1].impulse);
+    }
+});
+
+test('harder landings report bigger impulses', () => {
+    const landingImpulse = (y) => {
+        const engine = new PhysicsEngine(800, 600);
+        const box = engine.createBody({ shape: 'rectangle', width: 40, height: 30, x: 500, y });
+        let impulse = null;
+        engine.onBeginContact(event => {
+            if (impulse === null && involves(event, box)) impulse = event.totalImpulse;
+        });
+        for (let tick = 0; tick < 300; tick++) {
+            engine.update();
+        }
+        return impulse;
+    };
+
+    const low = landingImpulse(500);
+    assert.ok(low > 0);
+    assert.ok(landingImpulse(300) > 2 * low);
+});
+
+test('resting contacts stop reporting once asleep', () => {
+    const engine = new PhysicsEngine(800, 600);
+    const box = engine.createBody({ shape: 'rectangle', width: 40, height: 30, x: 500, y: 535 });
+    let stays = 0;
+    engine.onStayContact(event => involves(event, box) && stays++);
+    for (let tick = 0; tick < 120; tick++) {
+        engine.update();
+    }
+    assert.ok(box.isSleeping);
+
+    const asleep = stays;
+    for (let tick = 0; tick < 60; tick++) {
+        engine.update();
+    }
+    assert.equal(stays, asleep);
+});
+
+test('pre-solve can disable a contact or change its friction', () => {
+    const engine = new PhysicsEngine(800, 600);
+    const ghost = engine.addBody(new Circle(300, 500, 10));
+    engine.onPreSolve(contact => {
+        if (involves(contact, ghost)) contact.enabled = false;
+    });
+    for (let tick = 0; tick < 120; tick++) {
+        engine.update();
+    }
+    assert.ok(ghost.position.y > 600, `y ${ghost.position.y}`);
+
+    const slide = (frictionless) => {
+        const engine = new PhysicsEngine(800, 600);
+        const box = engine.createBody({ shape: 'rectangle', width: 40, height: 30, x: 100, y: 535, velocity: { x: 120, y: 0 } });
+        if (frictionless) {
+            engine.onPreSolve(contact => {
+                contact.material = { ...contact.material, staticFriction: 0, dynamicFriction: 0 };
+            });
+        }
+        for (let tick = 0; tick < 120; tick++) {
+            engine.update();
+        }
+        return box.position.x - 100;
+    };
+    assert.ok(Math.abs(slide(true) - 240) < 1);
+    assert.ok(slide(false) < 200);
+});
+
+test('sensor overlaps come as sensor events', () => {
+    const engine = new PhysicsEngine(800, 600);
+    const sensor = engine.createBody({ shape: 'rectangle', width: 100, height: 100, x: 600, y: 300, isStatic: true, isSensor: true });
+    engine.addBody(new Circle(600, 150, 10));
+    const events = [];
+    engine.onBeginContact(event => involves(event, sensor) && events.push(event));
+    engine.onEndContact(event => involves(event, sensor) && events.push(event));
+    for (let tick = 0; tick < 240; tick++) {
+        engine.update();
+    }
+
+    assert.equal(events.length, 2);
+    assert.ok(events.every(event => event.isSensor && event.totalImpulse === 0));
+});
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PhysicsEngine, Rectangle, Circle } from '../physics.js';
+
+function createFiltered(filter) {
+    const body = new Circle(0, 0, 10);
+    Object.assign(body, filter);
+    return body;
+}
+
+test('categories and masks have to accept each other', () => {
+    const engine = new PhysicsEngine(800, 600);
+    const player = createFiltered({ collisionCategory: 0x0002 });
+    const debris = createFiltered({ collisionCategory: 0x0004, collisionMask: 0xFFFF & ~0x0002 });
+    const wall = createFiltered({ collisionCategory: 0x0001 });
+
+    assert.equal(engine.shouldCollide(player, debris), false);
+    assert.equal(engine.shouldCollide(debris, player), false);
+    assert.equal(engine.shouldCollide(debris, wall), true);
+    assert.equal(engine.shouldCollide(player, wall), true);
+});
+
+test('a shared group overrides the masks', () => {
+    const engine = new PhysicsEngine(800, 600);
+    const ragdollA = createFiltered({ collisionGroup: -1 });
+    const ragdollB = createFiltered({ collisionGroup: -1 });
+    const teamA = createFiltered({ collisionGroup: 2, collisionMask: 0x0002 });
+    const teamB = createFiltered({ collisionGroup: 2, collisionMask: 0x0002 });
+
+    assert.equal(engine.shouldCollide(ragdollA, ragdollB), false);
+    assert.equal(engine.shouldCollide(ragdollA, createFiltered({})), true);
+    assert.equal(engine.shouldCollide(teamA, teamB), true);
+    assert.equal(engine.shouldCollide(teamA, createFiltered({})), false);
+});
+
+test('changing a filter at runtime wakes the body and applies next tick', () => {
+    const engine = new PhysicsEngine(800, 600);
+    const ground = engine.bodies[0];
+    const box = engine.addBody(new Rectangle(500, 535, 40, 30, 1, false));
+    for (let tick = 0; tick < 60; tick++) {
+        engine.update();
+    }
+    assert.ok(box.isSleeping);
+
+    engine.setCollisionFilter(box, { mask: 0xFFFF & ~ground.collisionCategory });
+    assert.ok(!box.isSleeping);
+    for (let tick = 0; tick < 60; tick++) {
+        engine.update();
+    }
+    assert.ok(box.position.y > 560, `y ${box.position.y}`);
+});
+
+test('a sensor reports what passes through it without touching it', () => {
+    const engine = new PhysicsEngine(800, 600);
+    const sensor = engine.createBody({ shape: 'rectangle', width: 100, height: 100, x: 600, y: 300, isStatic: true, isSensor: true });
+    const ball = engine.addBody(new Circle(600, 150, 10));
+    const unhindered = engine.addBody(new Circle(700, 150, 10));
+
+    let overlapTicks = 0;
+    for (let tick = 0; tick < 240; tick++) {
+        engine.update();
+        if (engine.sensorContacts.some(contact => contact.bodyA === ball || contact.bodyB === ball)) overlapTicks++;
+        assert.ok(!engine.contacts.some(contact => contact.bodyA === sensor || contact.bodyB === sensor));
+        assert.equal(ball.position.y, unhindered.position.y);
+    }
+    assert.ok(overlapTicks > 0);
+});
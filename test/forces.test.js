@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PhysicsEngine, Capsule, DampingForce, DragForce, RadialForce, ExplosionForce, BuoyancyZone, Vector2 } from '../physics.js';
+
+const close = (actual, expected, tolerance = 1e-9) => Math.abs(actual - expected) <= tolerance;
+
+function run(engine, ticks) {
+    for (let tick = 0; tick < ticks; tick++) {
+        engine.update();
+    }
+}
+
+test('gravity scale scales how fast each body falls', () => {
+    const engine = new PhysicsEngine(800, 600);
+    const [floating, normal, heavy, rising] = [0, 1, 2, -1].map((gravityScale, i) =>
+        engine.createBody({ shape: 'circle', radius: 10, x: 300 + i * 50, y: 300, gravityScale }));
+    run(engine, 60);
+
+    const drop = normal.position.y - 300;
+    assert.ok(drop > 25);
+    assert.equal(floating.position.y, 300);
+    assert.ok(close(heavy.position.y - 300, 2 * drop, 1e-6));
+    assert.ok(close(300 - rising.position.y, drop, 1e-6));
+});
+
+test('damping slows bodies by its rate per second', () => {
+    const engine = new PhysicsEngine(800, 600);
+    engine.setGravity(0, 0);
+    const ball = engine.createBody({ shape: 'circle', radius: 10, x: 300, y: 300, velocity: { x: 100, y: 0 }, angularVelocity: 2 });
+    engine.addForceGenerator(new DampingForce({ linear: 1, angular: 2 }));
+    run(engine, 60);
+
+    assert.ok(close(engine.getBodyVelocity(ball).x, 100 / (1 + 1 / 60) ** 60, 1e-9));
+    assert.ok(close(engine.getBodyAngularVelocity(ball), 2 / (1 + 2 / 60) ** 60, 1e-9));
+});
+
+test('air drag gives a falling body a terminal velocity', () => {
+    const engine = new PhysicsEngine(800, 6000);
+    const ball = engine.createBody({ shape: 'circle', radius: 10, x: 300, y: 100 });
+    engine.addForceGenerator(new DragForce({ coefficient: 0.0001 }));
+    run(engine, 600);
+
+    // Where drag balances weight: coefficient * width * v² = m * g
+    const terminal = Math.sqrt(ball.mass * 60 / (0.0001 * 20));
+    const speed = engine.getBodyVelocity(ball).y;
+    assert.ok(Math.abs(speed - terminal) < 0.02 * terminal, `falling at ${speed}, terminal ${terminal}`);
+});
+
+test('a radial force pulls bodies towards its centre', () => {
+    const engine = new PhysicsEngine(800, 600);
+    engine.setGravity(0, 0);
+    const ball = engine.createBody({ shape: 'circle', radius: 10, x: 200, y: 300 });
+    engine.addForceGenerator(new RadialForce({ x: 400, y: 300, strength: 60 }));
+    run(engine, 60);
+
+    assert.ok(close(engine.getBodyVelocity(ball).x, 60, 1e-6));
+    assert.ok(Math.abs(ball.position.x - 230) < 1, `x ${ball.position.x}`);
+    assert.equal(ball.position.y, 300);
+});
+
+test('an explosion wakes and throws what it reaches, once', () => {
+    const engine = new PhysicsEngine(800, 600);
+    const near = engine.createBody({ shape: 'rectangle', width: 40, height: 30, x: 500, y: 535 });
+    const far = engine.createBody({ shape: 'rectangle', width: 40, height: 30, x: 700, y: 535 });
+    run(engine, 120);
+    assert.ok(near.isSleeping && far.isSleeping);
+
+    const center = new Vector2(460, 550);
+    engine.addForceGenerator(new ExplosionForce({ x: center.x, y: center.y, impulse: near.mass * 300, radius: 100 }));
+    engine.update();
+
+    const offset = Vector2.subtract(near.position, center);
+    const velocity = engine.getBodyVelocity(near);
+    assert.ok(!near.isSleeping && far.isSleeping);
+    assert.ok(Vector2.dot(velocity, offset) > 0.99 * Vector2.length(velocity) * Vector2.length(offset), 'thrown away from the centre');
+    assert.ok(Math.abs(Vector2.length(velocity) - 300 * (1 - Vector2.length(offset) / 100)) < 10);
+    assert.equal(engine.forceGenerators.length, 0);
+});
+
+test('a buoyancy zone floats a lighter body upright at the surface', () => {
+    const engine = new PhysicsEngine(800, 600);
+    engine.addForceGenerator(new BuoyancyZone({ minX: 0, minY: 300, maxX: 800, maxY: 575 }, { density: 0.002 }));
+    const raft = engine.addBody(new Capsule(400, 280, 100, 15, 0.001, false));
+    raft.angle = 0.6;
+    run(engine, 600);
+
+    // Half as dense as the fluid, so half under
+    assert.ok(Math.abs(raft.position.y - 300) < 3, `y ${raft.position.y}`);
+    assert.ok(Math.abs(raft.angle) < 0.15, `angle ${raft.angle}`);
+});
+
+test('forces on resting bodies are answered by the contacts', () => {
+    const engine = new PhysicsEngine(800, 600);
+    const box = engine.createBody({ shape: 'rectangle', width: 40, height: 30, x: 500, y: 535 });
+    const generator = engine.addForceGenerator((body, engine) => {
+        if (body === box) engine.applyForce(body, new Vector2(0, body.mass * 600));
+    });
+    let lowest = 0;
+    for (let tick = 0; tick < 300; tick++) {
+        engine.update();
+        if (tick > 60) lowest = Math.max(lowest, box.position.y);
+    }
+
+    // Ten times gravity doesn't push it into the ground
+    assert.ok(lowest < 539, `sank to ${lowest}`);
+    assert.ok(box.isSleeping);
+
+    engine.removeForceGenerator(generator);
+    assert.equal(engine.forceGenerators.length, 0);
+});
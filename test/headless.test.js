@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PhysicsEngine, Circle } from '../physics.js';
+import { Renderer } from '../renderer.js';
+
+// Stands in for a canvas 2D context, recording each call by name
+function createRecordingContext() {
+    const calls = [];
+    const ctx = new Proxy({}, {
+        get(target, name) {
+            if (name === 'calls') return calls;
+            if (!(name in target)) target[name] = (...args) => calls.push({ name, args });
+            return target[name];
+        },
+        set(target, name, value) {
+            target[name] = value;
+            return true;
+        }
+    });
+    return ctx;
+}
+
+test('the engine simulates under node without a DOM', () => {
+    assert.equal(typeof globalThis.document, 'undefined');
+    assert.equal(typeof globalThis.window, 'undefined');
+
+    const engine = new PhysicsEngine(800, 600);
+    const ball = engine.addBody(new Circle(400, 100, 10));
+    assert.equal(engine.step(1), engine.maxSubSteps);
+    assert.ok(ball.position.y > 100);
+    assert.equal(engine.render, undefined);
+});
+
+test('a renderer draws each frame the engine announces until detached', () => {
+    const engine = new PhysicsEngine(800, 600);
+    const ctx = createRecordingContext();
+    const renderer = new Renderer(engine, ctx);
+
+    engine.step(1 / 60);
+    const frameCalls = ctx.calls.length;
+    assert.ok(frameCalls > 0);
+    assert.equal(ctx.calls[0].name, 'clearRect');
+    // The ground and the default box each get filled
+    assert.equal(ctx.calls.filter(call => call.name === 'fill').length, engine.bodies.length);
+
+    renderer.detach();
+    engine.step(1 / 60);
+    assert.equal(ctx.calls.length, frameCalls);
+});
+
+test('the renderer interpolates between the last two ticks', () => {
+    const engine = new PhysicsEngine(800, 600);
+    engine.setGravity(0, 0);
+    const renderer = new Renderer(engine, createRecordingContext());
+    const ball = engine.createBody({ shape: 'circle', radius: 10, x: 100, y: 100, velocity: { x: 60, y: 0 } });
+    engine.update();
+
+    assert.ok(Math.abs(renderer.getPose(ball, 0).position.x - 100) < 1e-9);
+    assert.ok(Math.abs(renderer.getPose(ball, 0.5).position.x - 100.5) < 1e-9);
+    assert.ok(Math.abs(renderer.getPose(ball, 1).position.x - 101) < 1e-9);
+});
@@ -0,0 +1,132 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PhysicsEngine, Rectangle, Circle, RevoluteJoint, DistanceJoint, PrismaticJoint, WeldJoint, Vector2 } from '../physics.js';
+
+function run(engine, ticks, onTick = () => {}) {
+    for (let tick = 0; tick < ticks; tick++) {
+        engine.update();
+        onTick();
+    }
+}
+
+function contactsBetween(engine, bodyA, bodyB) {
+    return engine.contacts.filter(contact =>
+        (contact.bodyA === bodyA && contact.bodyB === bodyB) || (contact.bodyA === bodyB && contact.bodyB === bodyA));
+}
+
+// An 80x10 door hinged at its left end to a static pin, held level to start with
+function createDoor(options) {
+    const engine = new PhysicsEngine(800, 600);
+    const pin = engine.addBody(new Circle(400, 200, 5, 0.001, true));
+    const door = engine.addBody(new Rectangle(440, 200, 80, 10, 1, false));
+    const joint = engine.addJoint(new RevoluteJoint(pin, door, new Vector2(400, 200), options));
+    return { engine, door, joint };
+}
+
+test('a hinged door swings down and stays on its hinge', () => {
+    const { engine, door, joint } = createDoor();
+    let maxAngle = 0;
+    let maxGap = 0;
+    run(engine, 300, () => {
+        maxAngle = Math.max(maxAngle, door.angle);
+        maxGap = Math.max(maxGap, Vector2.length(Vector2.subtract(joint.getAnchorA(), joint.getAnchorB())));
+    });
+
+    assert.ok(maxAngle > Math.PI / 2, `swung to ${maxAngle}`);
+    assert.ok(maxGap < 0.1, `hinge opened ${maxGap}px`);
+});
+
+test('a revolute limit stops the door', () => {
+    const { engine, door, joint } = createDoor({ enableLimit: true, lowerAngle: -0.5, upperAngle: 0.5 });
+    let maxAngle = 0;
+    run(engine, 300, () => {
+        maxAngle = Math.max(maxAngle, joint.getJointAngle());
+    });
+
+    assert.ok(maxAngle < 0.51, `swung to ${maxAngle}`);
+    assert.ok(Math.abs(door.angle - 0.5) < 0.01, `came to rest at ${door.angle}`);
+    assert.ok(door.isSleeping);
+});
+
+test('a rigid distance joint keeps its length', () => {
+    const engine = new PhysicsEngine(800, 600);
+    const anchor = engine.addBody(new Circle(400, 100, 5, 0.001, true));
+    const bob = engine.addBody(new Circle(480, 100, 10));
+    const joint = engine.addJoint(new DistanceJoint(anchor, bob, anchor.position, bob.position));
+    let maxError = 0;
+    run(engine, 300, () => {
+        maxError = Math.max(maxError, Math.abs(Vector2.length(Vector2.subtract(bob.position, anchor.position)) - 80));
+    });
+
+    assert.equal(joint.length, 80);
+    assert.ok(maxError < 0.5, `length off by ${maxError}px`);
+    assert.ok(bob.position.y > 110, 'bob swung down');
+});
+
+test('a distance spring stretches under load and its limit caps the stretch', () => {
+    const hang = (options) => {
+        const engine = new PhysicsEngine(800, 600);
+        const anchor = engine.addBody(new Circle(400, 100, 5, 0.001, true));
+        const bob = engine.addBody(new Circle(400, 180, 10));
+        engine.addJoint(new DistanceJoint(anchor, bob, anchor.position, bob.position, { frequencyHz: 0.2, dampingRatio: 0.7, ...options }));
+        let maxLength = 0;
+        run(engine, 900, () => {
+            maxLength = Math.max(maxLength, bob.position.y - anchor.position.y);
+        });
+        return { bob, maxLength };
+    };
+
+    // Rests where the spring holds the weight: stretch = g / omega²
+    const free = hang();
+    const expected = 80 + 60 / (2 * Math.PI * 0.2) ** 2;
+    assert.ok(Math.abs(free.bob.position.y - 100 - expected) < 3, `rests at length ${free.bob.position.y - 100}`);
+
+    const limited = hang({ enableLimit: true, maxLength: 100 });
+    assert.ok(limited.maxLength < 100.5, `stretched to ${limited.maxLength}`);
+});
+
+test('a prismatic motor slides along the axis up to the limit', () => {
+    const engine = new PhysicsEngine(800, 600);
+    engine.setGravity(0, 0);
+    const base = engine.addBody(new Circle(300, 300, 5, 0.001, true));
+    const slider = engine.addBody(new Rectangle(300, 300, 30, 30, 1, false));
+    engine.addJoint(new PrismaticJoint(base, slider, new Vector2(300, 300), new Vector2(1, 0), {
+        enableLimit: true, lowerTranslation: 0, upperTranslation: 100,
+        enableMotor: true, motorSpeed: 60, maxMotorForce: 1000
+    }));
+
+    run(engine, 60);
+    assert.ok(Math.abs(engine.getBodyVelocity(slider).x - 60) < 1e-6);
+    assert.ok(Math.abs(slider.position.x - 360) < 2, `x ${slider.position.x}`);
+
+    run(engine, 180);
+    assert.ok(Math.abs(slider.position.x - 400) < 0.5, `x ${slider.position.x}`);
+    assert.ok(Math.abs(slider.position.y - 300) < 1e-6 && Math.abs(slider.angle) < 1e-6);
+});
+
+test('welded bodies fall and land as one', () => {
+    const engine = new PhysicsEngine(800, 600);
+    const left = engine.addBody(new Rectangle(500, 400, 40, 20, 1, false));
+    const right = engine.addBody(new Rectangle(540, 400, 40, 20, 1, false));
+    engine.addJoint(new WeldJoint(left, right, new Vector2(520, 400)));
+    run(engine, 300);
+
+    assert.ok(left.position.y > 530, 'landed');
+    assert.ok(Math.abs(right.angle - left.angle) < 0.01);
+    const offset = Vector2.rotate(Vector2.subtract(right.position, left.position), -left.angle);
+    assert.ok(Math.abs(offset.x - 40) < 0.5 && Math.abs(offset.y) < 0.5, `offset ${offset.x}, ${offset.y}`);
+});
+
+test('jointed bodies only collide with collideConnected', () => {
+    const overlap = (options) => {
+        const engine = new PhysicsEngine(800, 600);
+        const left = engine.addBody(new Rectangle(500, 400, 40, 20, 1, false));
+        const right = engine.addBody(new Rectangle(530, 400, 40, 20, 1, false));
+        engine.addJoint(new WeldJoint(left, right, new Vector2(515, 400), options));
+        engine.update();
+        return contactsBetween(engine, left, right).length;
+    };
+
+    assert.equal(overlap(), 0);
+    assert.equal(overlap({ collideConnected: true }), 1);
+});
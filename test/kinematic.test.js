@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PhysicsEngine, Rectangle, KinematicPath } from '../physics.js';
+
+// The elevator addPlatform builds: a 120x15 platform waiting a second at
+// either end of its 180 pixel climb, with a 30x30 box resting on it
+function rideElevator(options) {
+    const engine = new PhysicsEngine(800, 600, options);
+    const lift = engine.addBody(new Rectangle(500, 480, 120, 15, 1, false));
+    engine.setKinematicPath(lift, new KinematicPath([
+        { time: 0, x: 500, y: 480 },
+        { time: 1, x: 500, y: 480 },
+        { time: 9, x: 500, y: 300 },
+        { time: 10, x: 500, y: 300 },
+        { time: 18, x: 500, y: 480 }
+    ]));
+    const rider = engine.addBody(new Rectangle(500, 480 - 22.5, 30, 30, 1, false));
+
+    const result = { minGap: Infinity, maxGap: -Infinity, drift: 0, pathError: 0 };
+    for (let tick = 1; tick <= 18 * 60; tick++) {
+        engine.update();
+        const pose = lift.kinematicPath.getPose(tick / 60);
+        result.pathError = Math.max(result.pathError, Math.abs(lift.position.y - pose.y));
+        const gap = lift.position.y - rider.position.y;
+        result.minGap = Math.min(result.minGap, gap);
+        result.maxGap = Math.max(result.maxGap, gap);
+        result.drift = Math.max(result.drift, Math.abs(rider.position.x - 500));
+    }
+    return { ...result, lift };
+}
+
+test('an elevator follows its path and carries what rests on it', () => {
+    for (const options of [{}, { solverMode: 'sequential' }]) {
+        const { minGap, maxGap, drift, pathError, lift } = rideElevator(options);
+
+        assert.equal(pathError, 0);
+        assert.equal(lift.invMass, 0);
+        // Resting on it puts the rider's centre 22.5 pixels above the platform's
+        assert.ok(minGap > 20 && maxGap < 27, `${JSON.stringify(options)}: gap ${minGap} to ${maxGap}`);
+        assert.ok(drift < 1, `${JSON.stringify(options)}: drifted ${drift}px`);
+    }
+});
+
+test('a shuttle driven by its velocity picks up what rests on it', () => {
+    const engine = new PhysicsEngine(800, 600);
+    const shuttle = engine.addBody(new Rectangle(300, 480, 120, 15, 1, false));
+    shuttle.setKinematic();
+    engine.setBodyVelocity(shuttle, { x: 30, y: 0 });
+    const rider = engine.addBody(new Rectangle(300, 457.5, 30, 30, 1, false));
+    for (let tick = 0; tick < 240; tick++) {
+        engine.update();
+    }
+
+    assert.ok(Math.abs(shuttle.position.x - 420) < 1e-9 && shuttle.position.y === 480);
+    // It slips while friction brings it up to speed, then rides along
+    assert.ok(Math.abs(rider.position.x - shuttle.position.x) < 20);
+    assert.ok(Math.abs(engine.getBodyVelocity(rider).x - 30) < 0.5, `vx ${engine.getBodyVelocity(rider).x}`);
+});
+
+test('kinematic bodies push dynamic bodies without being pushed back', () => {
+    const engine = new PhysicsEngine(800, 600);
+    const paddle = engine.addBody(new Rectangle(300, 530, 20, 40, 1, false));
+    paddle.setKinematic();
+    engine.setBodyVelocity(paddle, { x: 60, y: 0 });
+    const box = engine.addBody(new Rectangle(340, 535, 30, 30, 1, false));
+    for (let tick = 0; tick < 120; tick++) {
+        engine.update();
+    }
+
+    assert.ok(Math.abs(paddle.position.x - 420) < 1e-9);
+    assert.ok(box.position.x > paddle.position.x + 20, `box at ${box.position.x}`);
+});
@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PhysicsEngine, Rectangle, Circle, RevoluteJoint } from '../physics.js';
+
+const close = (actual, expected, tolerance = 1e-9) => Math.abs(actual - expected) <= tolerance;
+
+// Two boxes stacked on the ground, run until they sleep
+function createStack() {
+    const engine = new PhysicsEngine(800, 600);
+    const bottom = engine.createBody({ shape: 'rectangle', width: 40, height: 30, x: 500, y: 535 });
+    const top = engine.createBody({ shape: 'rectangle', width: 40, height: 30, x: 500, y: 505 });
+    for (let tick = 0; tick < 120; tick++) {
+        engine.update();
+    }
+    return { engine, bottom, top };
+}
+
+test('created bodies get ids they can be found by', () => {
+    const engine = new PhysicsEngine(800, 600);
+    const ball = engine.createBody({ shape: 'circle', radius: 10, x: 100, y: 100 });
+    const box = engine.createBody({ shape: 'rectangle', width: 20, height: 20, x: 200, y: 100 });
+
+    assert.notEqual(ball.id, box.id);
+    assert.equal(engine.getBodyById(ball.id), ball);
+    assert.equal(engine.getBodyById(box.id), box);
+    assert.equal(engine.getBodyById(-1), null);
+    assert.throws(() => engine.createBody({ shape: 'star' }), /Unknown shape type star/);
+});
+
+test('destroying a body drops its contacts and tells listeners', () => {
+    const { engine, bottom, top } = createStack();
+    assert.ok(top.isSleeping);
+    const ended = [];
+    const destroyed = [];
+    engine.onEndContact(event => ended.push(event));
+    engine.on('destroyBody', body => destroyed.push(body));
+
+    engine.destroyBody(bottom);
+
+    assert.deepEqual(destroyed, [bottom]);
+    assert.equal(engine.getBodyById(bottom.id), null);
+    // Its contacts with the ground and the top box both end
+    assert.equal(ended.length, 2);
+    assert.ok(ended.every(event => event.bodyA === bottom || event.bodyB === bottom));
+    for (const cache of engine.contactCache.values()) {
+        assert.ok(cache.bodyA !== bottom && cache.bodyB !== bottom);
+    }
+
+    // What rested on it wakes and falls
+    assert.ok(!top.isSleeping);
+    for (let tick = 0; tick < 120; tick++) {
+        engine.update();
+    }
+    assert.ok(Math.abs(top.position.y - 535) < 3, `y ${top.position.y}`);
+});
+
+test('destroying a body removes its joints', () => {
+    const engine = new PhysicsEngine(800, 600);
+    const pin = engine.addBody(new Circle(400, 100, 5, 0.001, true));
+    const bob = engine.addBody(new Rectangle(440, 100, 40, 10, 1, false));
+    engine.addJoint(new RevoluteJoint(pin, bob, pin.position));
+
+    engine.destroyBody(bob);
+    assert.equal(engine.joints.length, 0);
+    assert.equal(pin.joints.length, 0);
+    engine.update();
+});
+
+test('changes made during a step wait until it ends', () => {
+    const { engine, bottom, top } = createStack();
+    const ball = engine.addBody(new Circle(500, 400, 10));
+    let seenDuringStep = null;
+    engine.onBeginContact(event => {
+        if (event.bodyA !== ball && event.bodyB !== ball) return;
+        engine.destroyBody(ball);
+        engine.setBodyStatic(top, true);
+        seenDuringStep = engine.bodies.includes(ball) && !top.isStatic;
+    });
+    for (let tick = 0; tick < 120 && !top.isStatic; tick++) {
+        engine.update();
+    }
+
+    assert.equal(seenDuringStep, true);
+    assert.ok(!engine.bodies.includes(ball));
+    assert.ok(top.isStatic && engine.bodies.includes(bottom));
+});
+
+test('the setters recompute mass and inertia', () => {
+    const engine = new PhysicsEngine(800, 600);
+    const box = engine.createBody({ shape: 'rectangle', width: 40, height: 30, x: 500, y: 300, mass: 2 });
+
+    assert.ok(close(box.invMass, 0.5));
+    engine.setBodySize(box, 80, 30);
+    assert.ok(close(box.mass, 4));
+    assert.ok(close(box.inertia, 4 * (80 * 80 + 30 * 30) / 12));
+
+    engine.setBodyMass(box, 1);
+    assert.ok(close(box.invMass, 1) && close(box.invInertia, 12 / (80 * 80 + 30 * 30)));
+
+    engine.setBodyStatic(box, true);
+    assert.equal(box.invMass, 0);
+    assert.equal(box.invInertia, 0);
+    engine.setBodyStatic(box, false);
+    assert.ok(close(box.invMass, 1));
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PhysicsEngine, Rectangle } from '../physics.js';
+
+const close = (actual, expected, tolerance = 1e-9) => Math.abs(actual - expected) <= tolerance;
+
+function createGround() {
+    return new Rectangle(400, 575, 800, 50, 1, true);
+}
+
+test('a box lying flat touches the ground at both bottom corners', () => {
+    const engine = new PhysicsEngine(800, 600);
+    const contact = engine.checkSATCollision(new Rectangle(300, 536, 40, 30, 1, false), createGround());
+
+    assert.equal(contact.contactPoints.length, 2);
+    assert.deepEqual(contact.contactPoints.map(point => point.x).sort((a, b) => a - b), [280, 320]);
+    assert.ok(close(contact.normal.x, 0) && close(contact.normal.y, 1));
+    assert.ok(contact.penetrations.every(penetration => close(penetration, 1)));
+    assert.equal(new Set(contact.featureIds).size, 2);
+});
+
+test('feature ids stay the same as the box slides', () => {
+    const engine = new PhysicsEngine(800, 600);
+    const box = new Rectangle(300, 536, 40, 30, 1, false);
+    const before = engine.checkSATCollision(box, createGround()).featureIds;
+    box.position.x += 10;
+
+    assert.deepEqual(engine.checkSATCollision(box, createGround()).featureIds, before);
+});
+
+test('a tilted box touches with its lowest corner only', () => {
+    const engine = new PhysicsEngine(800, 600);
+    const box = new Rectangle(300, 535, 40, 30, 1, false);
+    box.angle = 0.05;
+    const contact = engine.checkSATCollision(box, createGround());
+
+    assert.equal(contact.contactPoints.length, 1);
+    const depth = 535 + 15 * Math.cos(0.05) + 20 * Math.sin(0.05) - 550;
+    assert.ok(close(contact.penetrations[0], depth), `penetration ${contact.penetrations[0]}`);
+});
+
+test('an overhanging box is clipped to the overlap', () => {
+    const engine = new PhysicsEngine(800, 600);
+    const contact = engine.checkSATCollision(new Rectangle(400, 506, 40, 30, 1, false), new Rectangle(425, 535, 40, 30, 1, false));
+
+    assert.deepEqual(contact.contactPoints.map(point => point.x).sort((a, b) => a - b), [405, 420]);
+    assert.ok(contact.contactPoints.every(point => close(point.y, 520)));
+    assert.ok(contact.penetrations.every(penetration => close(penetration, 1)));
+});
@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PhysicsEngine, Material, Circle } from '../physics.js';
+
+const close = (actual, expected, tolerance = 1e-9) => Math.abs(actual - expected) <= tolerance;
+
+// Drops a rubber ball 300 pixels onto the ground, whose 'static' material
+// doesn't bounce, and returns how high it comes back up
+function bounceHeight(options) {
+    const engine = new PhysicsEngine(800, 600, options);
+    const ball = engine.createBody({ shape: 'circle', radius: 10, x: 500, y: 240, material: 'rubber' });
+    let rising = false;
+    let top = Infinity;
+    for (let tick = 0; tick < 600; tick++) {
+        engine.update();
+        const vy = engine.getBodyVelocity(ball).y;
+        if (vy < 0) rising = true;
+        if (rising) top = Math.min(top, ball.position.y);
+        if (rising && vy > 0) break;
+    }
+    return rising ? 540 - top : 0;
+}
+
+test('restitution bounces a ball back up', () => {
+    // A bounce keeps restitution² of the drop height
+    const height = bounceHeight({});
+    assert.ok(Math.abs(height - 0.64 * 300) < 10, `bounced ${height}px`);
+
+    const sequential = bounceHeight({ solverMode: 'sequential' });
+    assert.ok(Math.abs(sequential - 0.64 * 300) < 10, `bounced ${sequential}px`);
+});
+
+test('the restitution combine mode decides how much it bounces', () => {
+    const average = bounceHeight({ restitutionCombine: 'average' });
+    assert.ok(Math.abs(average - 0.16 * 300) < 10, `bounced ${average}px`);
+
+    // Rubber on a surface that doesn't bounce stays put
+    assert.ok(bounceHeight({ restitutionCombine: 'min' }) < 1);
+    assert.ok(bounceHeight({ restitutionCombine: 'multiply' }) < 1);
+});
+
+test('every combine mode combines both materials', () => {
+    const engine = new PhysicsEngine(800, 600);
+    const rubber = new Circle(0, 0, 10);
+    rubber.setMaterial('rubber');
+    const wood = new Circle(0, 0, 10);
+    wood.setMaterial('wood');
+
+    const expected = {
+        min: 0.2,
+        max: 0.8,
+        average: 0.5,
+        multiply: 0.16,
+        geometricMean: 0.4
+    };
+    for (const [mode, restitution] of Object.entries(expected)) {
+        engine.restitutionCombine = mode;
+        engine.frictionCombine = mode;
+        const combined = engine.combineMaterials(rubber, wood);
+        assert.ok(close(combined.restitution, restitution), `${mode}: ${combined.restitution}`);
+        assert.ok(close(combined.staticFriction, PhysicsEngine.combineModes[mode](0.9, 0.5)));
+    }
+
+    engine.frictionCombine = 'median';
+    assert.throws(() => engine.combineMaterials(rubber, wood), /Unknown combine mode median/);
+});
+
+test('a box slides further on ice', () => {
+    const slide = (material) => {
+        const engine = new PhysicsEngine(800, 600);
+        const box = engine.createBody({ shape: 'rectangle', width: 40, height: 30, x: 100, y: 535, material, velocity: { x: 120, y: 0 } });
+        for (let tick = 0; tick < 300; tick++) {
+            engine.update();
+        }
+        return box.position.x - 100;
+    };
+
+    assert.ok(slide('ice') > 2 * slide('default'));
+});
+
+test('a material sets the body density and rescales its mass', () => {
+    const ball = new Circle(0, 0, 10, 0.001);
+    const mass = ball.mass;
+    ball.setMaterial(Material.get('metal'));
+
+    assert.equal(ball.material.name, 'metal');
+    assert.ok(close(ball.mass, mass * 3));
+    assert.throws(() => ball.setMaterial('glass'), /Unknown material glass/);
+});
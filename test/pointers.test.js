@@ -0,0 +1,121 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PhysicsEngine, Vector2 } from '../physics.js';
+import { MouseController } from '../controller.js';
+
+function run(engine, ticks) {
+    for (let tick = 0; tick < ticks; tick++) {
+        engine.update();
+    }
+}
+
+const distance = (a, b) => Vector2.length(Vector2.subtract(a, b));
+
+// Stands in for a canvas element: keeps the listeners attach() adds so
+// tests can fire pointer events at them
+function createCanvas() {
+    const listeners = {};
+    return {
+        style: {},
+        captured: [],
+        addEventListener(type, listener) {
+            listeners[type] = listener;
+        },
+        getBoundingClientRect: () => ({ left: 10, top: 20 }),
+        setPointerCapture(pointerId) {
+            this.captured.push(pointerId);
+        },
+        fire(type, event) {
+            listeners[type]({ button: 0, shiftKey: false, preventDefault() {}, ...event });
+        }
+    };
+}
+
+test('two pointers drag two bodies to their own targets', () => {
+    const engine = new PhysicsEngine(800, 600);
+    const controller = new MouseController(engine);
+    const left = engine.createBody({ shape: 'rectangle', width: 40, height: 30, x: 400, y: 535 });
+    const right = engine.createBody({ shape: 'rectangle', width: 40, height: 30, x: 600, y: 535 });
+    run(engine, 30);
+
+    controller.handlePointerDown(1, 400, 535);
+    controller.handlePointerDown(2, 600, 535);
+    controller.handlePointerMove(1, 350, 400);
+    controller.handlePointerMove(2, 650, 300);
+    run(engine, 120);
+
+    assert.ok(distance(left.position, new Vector2(350, 400)) < 2, `left at ${left.position.x}, ${left.position.y}`);
+    assert.ok(distance(right.position, new Vector2(650, 300)) < 2, `right at ${right.position.x}, ${right.position.y}`);
+});
+
+test('two pointers holding both ends of a body turn it', () => {
+    const engine = new PhysicsEngine(800, 600);
+    const controller = new MouseController(engine);
+    const bar = engine.createBody({ shape: 'rectangle', width: 100, height: 20, x: 500, y: 540 });
+    run(engine, 30);
+
+    controller.handlePointerDown(1, 460, 540);
+    controller.handlePointerDown(2, 540, 540);
+    assert.equal(controller.getMouseJoints().length, 2);
+    controller.handlePointerMove(1, 460, 400);
+    controller.handlePointerMove(2, 520, 340);
+    run(engine, 180);
+
+    // The line between the pointers rises at 45 degrees
+    assert.ok(Math.abs(bar.angle + Math.PI / 4) < 0.01, `angle ${bar.angle}`);
+});
+
+test('releasing one of two pointers on a body does not throw it', () => {
+    const engine = new PhysicsEngine(800, 600);
+    const controller = new MouseController(engine);
+    const bar = engine.createBody({ shape: 'rectangle', width: 100, height: 20, x: 500, y: 540 });
+    run(engine, 30);
+    controller.handlePointerDown(1, 460, 540);
+    controller.handlePointerDown(2, 540, 540);
+    controller.handlePointerMove(2, 540, 400);
+    controller.handlePointerMove(1, 460, 400);
+    run(engine, 120);
+
+    // The first pointer flicks off and lets go while the second holds on
+    for (let tick = 1; tick <= 3; tick++) {
+        controller.handlePointerMove(1, 460 + tick * 100, 400);
+        engine.update();
+    }
+    const velocity = bar.velocity;
+    controller.handlePointerUp(1);
+    assert.equal(bar.velocity, velocity);
+    assert.equal(controller.getMouseJoints().length, 1);
+
+    // The last pointer to let go throws it with its own velocity, here none
+    controller.handlePointerUp(2);
+    assert.ok(Vector2.length(engine.getBodyVelocity(bar)) < 1);
+    assert.equal(controller.pointers.size, 0);
+});
+
+test('attach feeds pointer events in by pointer ID', () => {
+    const engine = new PhysicsEngine(800, 600);
+    const controller = new MouseController(engine);
+    const box = engine.createBody({ shape: 'rectangle', width: 40, height: 30, x: 500, y: 535 });
+    const canvas = createCanvas();
+    controller.attach(canvas);
+    assert.equal(canvas.style.touchAction, 'none');
+
+    // A hover without a button down grabs nothing
+    canvas.fire('pointermove', { pointerId: 7, clientX: 510, clientY: 555 });
+    assert.equal(controller.pointers.size, 0);
+
+    // Shift-clicks are left to the inspector
+    canvas.fire('pointerdown', { pointerId: 7, clientX: 510, clientY: 555, shiftKey: true });
+    assert.equal(controller.pointers.size, 0);
+
+    canvas.fire('pointerdown', { pointerId: 7, clientX: 510, clientY: 555 });
+    assert.deepEqual(canvas.captured, [7]);
+    assert.equal(controller.getMouseJoints()[0].body, box);
+    canvas.fire('pointermove', { pointerId: 7, clientX: 510, clientY: 420 });
+    assert.deepEqual({ ...controller.pointers.get(7).position }, { x: 500, y: 400 });
+    canvas.fire('pointercancel', { pointerId: 7 });
+    assert.equal(controller.pointers.size, 0);
+
+    canvas.fire('pointerdown', { pointerId: 8, button: 2, clientX: 310, clientY: 120 });
+    assert.equal(engine.bodies[engine.bodies.length - 1].position.x, 300);
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PhysicsEngine, Polygon, Rectangle, Vector2 } from '../physics.js';
+
+const close = (actual, expected, tolerance = 1e-9) => Math.abs(actual - expected) <= tolerance;
+
+test('mass data of a right triangle', () => {
+    const { area, centroid, inertia, vertices } = Polygon.computeMassData([new Vector2(0, 0), new Vector2(30, 0), new Vector2(0, 30)]);
+
+    assert.ok(close(area, 450));
+    assert.ok(close(centroid.x, 10) && close(centroid.y, 10));
+    // Polar moment about the centroid: area * (a² + b² + c²) / 36
+    assert.ok(close(inertia, 450 * (900 + 900 + 1800) / 36));
+    assert.ok(close(vertices[0].x + vertices[1].x + vertices[2].x, 0));
+});
+
+test('either winding gives the same body', () => {
+    const square = [new Vector2(-20, -15), new Vector2(20, -15), new Vector2(20, 15), new Vector2(-20, 15)];
+    const a = new Polygon(100, 100, square, 0.002);
+    const b = new Polygon(100, 100, [...square].reverse(), 0.002);
+
+    assert.ok(close(a.mass, 0.002 * 1200) && close(b.mass, a.mass));
+    assert.ok(close(a.inertia, 0.002 * 1200 * (1600 + 900) / 12) && close(b.inertia, a.inertia));
+});
+
+test('a rectangle keeps the mass it is given', () => {
+    const box = new Rectangle(0, 0, 40, 30, 2);
+
+    assert.ok(close(box.mass, 2));
+    assert.ok(close(box.inertia, 2 * (40 * 40 + 30 * 30) / 12));
+});
+
+test('degenerate and concave vertices are rejected', () => {
+    assert.throws(() => new Polygon(0, 0, [new Vector2(0, 0), new Vector2(10, 0), new Vector2(20, 0)]), /zero area/);
+    assert.throws(() => new Polygon(0, 0, [new Vector2(0, 0), new Vector2(10, 0)]), /at least 3/);
+    const arrow = [new Vector2(0, 0), new Vector2(20, 10), new Vector2(0, 20), new Vector2(8, 10)];
+    assert.throws(() => new Polygon(0, 0, arrow), /convex/);
+});
+
+test('a dropped hexagon comes to rest on one of its sides', () => {
+    const engine = new PhysicsEngine(800, 600);
+    const hexagon = engine.addBody(Polygon.regular(500, 400, 6, 20));
+    for (let tick = 0; tick < 300; tick++) {
+        engine.update();
+    }
+
+    const groundTop = 550;
+    const apothem = 20 * Math.sin(Math.PI / 3);
+    assert.ok(Math.abs(hexagon.position.y - (groundTop - apothem)) < 3, `y ${hexagon.position.y}`);
+    const tilt = ((hexagon.angle % (Math.PI / 3)) + Math.PI / 3) % (Math.PI / 3);
+    assert.ok(Math.min(tilt, Math.PI / 3 - tilt) < 0.1, `angle ${hexagon.angle}`);
+    assert.ok(hexagon.isSleeping);
+});
@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PhysicsEngine, Rectangle, Circle, Vector2, BruteForceBroadPhase, SweepAndPruneBroadPhase, SpatialHashBroadPhase } from '../physics.js';
+
+const close = (actual, expected, tolerance = 1e-9) => Math.abs(actual - expected) <= tolerance;
+
+const broadPhases = {
+    bruteForce: () => new BruteForceBroadPhase(),
+    sweepAndPrune: () => new SweepAndPruneBroadPhase(),
+    spatialHash: () => new SpatialHashBroadPhase()
+};
+
+// A ball, a thin sensor wall and a box in a row along y = 300
+function createScene(broadPhase) {
+    const engine = new PhysicsEngine(800, 600, { broadPhase });
+    const ball = engine.addBody(new Circle(400, 300, 20));
+    const sensor = engine.createBody({ shape: 'rectangle', width: 20, height: 200, x: 500, y: 300, isSensor: true });
+    const box = engine.addBody(new Rectangle(600, 300, 40, 40, 1, false));
+    return { engine, ball, sensor, box };
+}
+
+test('a ray hits the closest body it enters', () => {
+    for (const [name, createBroadPhase] of Object.entries(broadPhases)) {
+        const { engine, ball, box } = createScene(createBroadPhase());
+
+        const hit = engine.rayCast(new Vector2(300, 300), new Vector2(700, 300));
+        assert.equal(hit.body, ball, name);
+        assert.ok(close(hit.point.x, 380) && close(hit.point.y, 300), name);
+        assert.ok(close(hit.normal.x, -1) && close(hit.normal.y, 0), name);
+        assert.ok(close(hit.fraction, 0.2), name);
+
+        // A ray starting inside a body passes out of it
+        const fromBall = engine.rayCast(new Vector2(400, 300), new Vector2(700, 300));
+        assert.equal(fromBall.body, box, name);
+        assert.ok(close(fromBall.fraction, 0.6), name);
+
+        const down = engine.rayCast(new Vector2(400, 100), new Vector2(400, 599));
+        assert.equal(down.body, ball, name);
+        assert.ok(close(down.point.y, 280) && close(down.normal.y, -1), name);
+
+        assert.equal(engine.rayCast(new Vector2(300, 100), new Vector2(700, 100)), null, name);
+    }
+});
+
+test('queries skip sensors unless asked to include them', () => {
+    const { engine, sensor, box } = createScene();
+
+    assert.equal(engine.rayCast(new Vector2(400, 300), new Vector2(700, 300)).body, box);
+    const hit = engine.rayCast(new Vector2(400, 300), new Vector2(700, 300), { includeSensors: true });
+    assert.equal(hit.body, sensor);
+    assert.ok(close(hit.point.x, 490));
+
+    assert.deepEqual(engine.queryPoint(new Vector2(500, 300)), []);
+    assert.deepEqual(engine.queryPoint(new Vector2(500, 300), { includeSensors: true }), [sensor]);
+});
+
+test('AABB and point queries return every body they touch', () => {
+    for (const [name, createBroadPhase] of Object.entries(broadPhases)) {
+        const { engine, ball, sensor, box } = createScene(createBroadPhase());
+
+        assert.deepEqual(engine.queryAABB({ minX: 380, minY: 280, maxX: 620, maxY: 320 }), [ball, box], name);
+        assert.deepEqual(engine.queryAABB({ minX: 380, minY: 280, maxX: 620, maxY: 320 }, { includeSensors: true }), [ball, sensor, box], name);
+        assert.deepEqual(engine.queryPoint(new Vector2(610, 310)), [box], name);
+        // Inside the ball's bounds but outside the ball
+        assert.deepEqual(engine.queryPoint(new Vector2(385, 285)), [], name);
+    }
+});
+
+test('queries honour collision filters, or none with filter null', () => {
+    const { engine, box } = createScene();
+    engine.setCollisionFilter(box, { category: 0x0004 });
+    const from = new Vector2(400, 300);
+    const to = new Vector2(700, 300);
+
+    assert.equal(engine.rayCast(from, to, { filter: { mask: 0xFFFF & ~0x0004 } }), null);
+    assert.equal(engine.rayCast(from, to, { filter: null }).body, box);
+    assert.deepEqual(engine.queryPoint(new Vector2(600, 300), { filter: { mask: 0x0004 } }), [box]);
+    assert.deepEqual(engine.queryPoint(new Vector2(600, 300), { filter: { group: -1 } }), [box]);
+
+    engine.setCollisionFilter(box, { group: -1 });
+    assert.deepEqual(engine.queryPoint(new Vector2(600, 300), { filter: { group: -1 } }), []);
+    // Picking ignores filters
+    assert.equal(engine.getBodyAtPoint(new Vector2(600, 300)), box);
+});
+
+test('a shape cast stops where the shape would first touch', () => {
+    const { engine, ball } = createScene();
+    const probe = new Circle(0, 0, 10);
+
+    const sideways = engine.shapeCast(probe, new Vector2(300, 300), new Vector2(700, 300));
+    assert.equal(sideways.body, ball);
+    assert.ok(Math.abs(sideways.position.x - 370) < engine.ccdTolerance, `stopped at ${sideways.position.x}`);
+    assert.ok(close(sideways.point.x, 380) && close(sideways.normal.x, -1));
+
+    // A ground check: how far a box would drop before landing
+    const feet = new Rectangle(0, 0, 20, 20, 1, false);
+    const landing = engine.shapeCast(feet, new Vector2(100, 450), new Vector2(100, 599));
+    assert.equal(landing.body, engine.bodies[0]);
+    assert.ok(Math.abs(landing.position.y - 540) < engine.ccdTolerance, `landed at ${landing.position.y}`);
+    assert.ok(close(landing.normal.y, -1));
+
+    assert.equal(engine.shapeCast(probe, new Vector2(300, 100), new Vector2(700, 100)), null);
+});
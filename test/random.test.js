@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PhysicsEngine, DeterministicRandom } from '../physics.js';
+
+// Spawns a few random bodies and runs them, returning what came out
+function spawnAndRun(engine, onTick = () => {}) {
+    for (let i = 0; i < 3; i++) {
+        engine.addRandomBox();
+        engine.addRandomCircle();
+    }
+    const hashes = [];
+    for (let tick = 0; tick < 60; tick++) {
+        engine.update();
+        onTick();
+        hashes.push(engine.stateHash);
+    }
+    return { hashes, colors: engine.bodies.map(body => body.color) };
+}
+
+test('the same seed spawns and runs the same world', () => {
+    const first = spawnAndRun(new PhysicsEngine(800, 600, { seed: 7 }));
+    const second = spawnAndRun(new PhysicsEngine(800, 600, { seed: 7 }));
+    const other = spawnAndRun(new PhysicsEngine(800, 600, { seed: 8 }));
+
+    assert.deepEqual(second.hashes, first.hashes);
+    assert.deepEqual(second.colors, first.colors);
+    assert.notDeepEqual(other.hashes, first.hashes);
+    assert.notDeepEqual(other.colors, first.colors);
+});
+
+test('engines side by side do not perturb each other', () => {
+    const alone = spawnAndRun(new PhysicsEngine(800, 600, { seed: 7 }));
+
+    const neighbour = new PhysicsEngine(800, 600, { seed: 7 });
+    const interleaved = spawnAndRun(new PhysicsEngine(800, 600, { seed: 7 }), () => {
+        neighbour.addRandomPolygon();
+        neighbour.random();
+    });
+
+    assert.deepEqual(interleaved.hashes, alone.hashes);
+    assert.deepEqual(interleaved.colors, alone.colors);
+});
+
+test('reset reseeds the engine so the same world spawns again', () => {
+    const engine = new PhysicsEngine(800, 600, { seed: 7 });
+    const first = spawnAndRun(engine);
+    engine.reset();
+
+    assert.deepEqual(spawnAndRun(engine), first);
+});
+
+test('an engine can be given its own generator', () => {
+    const rng = new DeterministicRandom();
+    const engine = new PhysicsEngine(800, 600, { seed: 99, rng });
+    // Reseeded with the engine's seed, then one draw for the default box's color
+    const expected = new DeterministicRandom(99);
+    const hue = expected.next() * 360;
+
+    assert.equal(engine.rng, rng);
+    assert.equal(engine.bodies[1].color, `hsl(${hue}, 70%, 60%)`);
+    assert.equal(engine.random(), expected.next());
+});
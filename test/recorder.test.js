@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PhysicsEngine } from '../physics.js';
+import { MouseController } from '../controller.js';
+import { InputRecorder, InputReplay, findFirstDivergence } from '../recorder.js';
+
+// Records a session that spawns, drags, throws, freezes and deletes, and
+// starts in the middle of a drag
+function recordSession() {
+    const engine = new PhysicsEngine(800, 600);
+    const controller = new MouseController(engine);
+    for (let i = 0; i < 3; i++) {
+        controller.command('addRandomBox');
+    }
+    for (let tick = 0; tick < 60; tick++) {
+        engine.update();
+    }
+    
+    const box = engine.bodies[engine.bodies.length - 1];
+    controller.handlePointerDown(1, box.position.x, box.position.y);
+    engine.update();
+    
+    const recorder = new InputRecorder(engine, controller);
+    recorder.start();
+    for (let tick = 0; tick < 90; tick++) {
+        controller.handlePointerMove(1, 400 + tick, 200);
+        if (tick === 30) controller.command('addRandomCircle');
+        if (tick === 45) {
+            controller.setTool('spawn');
+            controller.handleToolClick(600, 100);
+        }
+        engine.update();
+    }
+    controller.handlePointerUp(1);
+    controller.setTool('freeze');
+    controller.handleToolClick(600, 100);
+    for (let tick = 0; tick < 60; tick++) {
+        engine.update();
+    }
+    return JSON.parse(JSON.stringify(recorder.stop()));
+}
+
+function startReplay(recording) {
+    const engine = new PhysicsEngine(800, 600);
+    const controller = new MouseController(engine);
+    return { engine, controller, replay: new InputReplay(engine, controller, recording) };
+}
+
+test('a replay reproduces every recorded hash', () => {
+    const recording = recordSession();
+    const { replay } = startReplay(recording);
+    
+    assert.equal(replay.run(), -1);
+    assert.equal(replay.hashes.length, recording.hashes.length);
+    assert.deepEqual(replay.hashes, recording.hashes);
+});
+
+test('live input is ignored while replaying', () => {
+    const recording = recordSession();
+    const { engine, controller, replay } = startReplay(recording);
+    
+    for (let tick = 0; tick < 20; tick++) {
+        replay.step();
+    }
+    controller.handlePointerDown(7, engine.bodies[0].position.x, engine.bodies[0].position.y);
+    controller.command('addRandomBox');
+    
+    assert.equal(replay.run(), -1);
+    assert.equal(controller.isReplaying, false);
+});
+
+test('a changed input is reported at the tick it takes effect', () => {
+    const recording = recordSession();
+    const spawn = recording.inputs.find(input => input.type === 'tool');
+    spawn.x += 100;
+    const { replay } = startReplay(recording);
+    
+    replay.run(false);
+    assert.equal(replay.divergentTick, spawn.tick);
+    assert.equal(findFirstDivergence(replay.hashes, recording.hashes), spawn.tick);
+});
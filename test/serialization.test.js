@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PhysicsEngine } from '../physics.js';
+
+// Bodies of every shape falling into a pile, a chain and a moving platform,
+// run for a while so the world has contacts and cached resting state
+function buildScene() {
+    const engine = new PhysicsEngine(800, 600);
+    const shapes = [
+        { shape: 'rectangle', width: 40, height: 30 },
+        { shape: 'circle', radius: 18 },
+        { shape: 'capsule', length: 30, radius: 12 },
+        { shape: 'polygon', sides: 5, radius: 22 }
+    ];
+    for (let i = 0; i < 24; i++) {
+        engine.createBody({
+            ...shapes[i % shapes.length],
+            x: 80 + (i % 12) * 55 + engine.random() * 10,
+            y: 200 + Math.floor(i / 12) * 70,
+            angle: engine.random() * Math.PI
+        });
+    }
+    engine.addChain();
+    engine.addPlatform();
+    for (let tick = 0; tick < 300; tick++) {
+        engine.update();
+    }
+    return engine;
+}
+
+test('a saved and reloaded world continues bit-exactly', () => {
+    const original = buildScene();
+    const loaded = new PhysicsEngine(800, 600);
+    loaded.loadState(JSON.parse(JSON.stringify(original.saveState())));
+    
+    for (let tick = 0; tick < 300; tick++) {
+        original.update();
+        loaded.update();
+        assert.equal(loaded.stateHash, original.stateHash, `hashes differ at tick ${tick}`);
+    }
+});
+
+test('loading a scene leaves other engines\' ids alone', () => {
+    const other = buildScene();
+    const idsBefore = other.bodies.map(body => body.id);
+    
+    const engine = new PhysicsEngine(800, 600);
+    engine.loadState(new PhysicsEngine(800, 600).saveState());
+    other.addRandomBox();
+    
+    const ids = other.bodies.map(body => body.id);
+    assert.deepEqual(ids.slice(0, -1), idsBefore);
+    assert.equal(new Set(ids).size, ids.length);
+});
+
+test('loadState emits reset', () => {
+    const engine = buildScene();
+    let resets = 0;
+    engine.on('reset', () => resets++);
+    engine.loadState(engine.saveState());
+    assert.equal(resets, 1);
+});
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PhysicsEngine, Circle, Capsule, Rectangle } from '../physics.js';
+
+const close = (actual, expected, tolerance = 1e-9) => Math.abs(actual - expected) <= tolerance;
+
+test('overlapping circles touch at one point along the line between them', () => {
+    const engine = new PhysicsEngine(800, 600);
+    const contact = engine.checkSATCollision(new Circle(100, 100, 10), new Circle(115, 100, 10));
+
+    assert.equal(contact.contactPoints.length, 1);
+    assert.ok(close(contact.normal.x, 1) && close(contact.normal.y, 0));
+    assert.ok(close(contact.penetrations[0], 5));
+    assert.equal(engine.checkSATCollision(new Circle(100, 100, 10), new Circle(125, 100, 10)), null);
+});
+
+test('a capsule lying on a box touches it under both ends', () => {
+    const engine = new PhysicsEngine(800, 600);
+    const contact = engine.checkSATCollision(new Capsule(100, 100, 40, 10), new Rectangle(100, 118, 100, 20, 1, true));
+
+    assert.equal(contact.contactPoints.length, 2);
+    assert.deepEqual(contact.contactPoints.map(point => point.x).sort((a, b) => a - b), [80, 120]);
+    assert.ok(close(contact.normal.y, 1));
+    assert.ok(contact.penetrations.every(penetration => close(penetration, 2)));
+});
+
+test('collisions come out the same way round whichever body is first', () => {
+    const engine = new PhysicsEngine(800, 600);
+    const capsule = new Capsule(100, 100, 40, 10);
+    const circle = new Circle(100, 118, 10);
+    const forward = engine.checkSATCollision(capsule, circle);
+    const backward = engine.checkSATCollision(circle, capsule);
+
+    assert.equal(forward.bodyA, capsule);
+    assert.equal(backward.bodyA, circle);
+    assert.ok(close(forward.normal.y, 1) && close(backward.normal.y, -1));
+    assert.ok(close(forward.penetrations[0], backward.penetrations[0]));
+});
+
+test('circles and capsules come to rest on the ground', () => {
+    const engine = new PhysicsEngine(800, 600);
+    const capsule = engine.addBody(new Capsule(500, 450, 60, 10));
+    const circle = engine.addBody(new Circle(650, 450, 15));
+    for (let tick = 0; tick < 300; tick++) {
+        engine.update();
+    }
+
+    assert.ok(Math.abs(capsule.position.y - 540) < 3, `capsule y ${capsule.position.y}`);
+    assert.ok(Math.abs(capsule.angle) < 0.05, `capsule angle ${capsule.angle}`);
+    assert.ok(Math.abs(circle.position.y - 535) < 3, `circle y ${circle.position.y}`);
+    assert.ok(capsule.isSleeping && circle.isSleeping);
+});
+
+test('capsule mass covers the box and both caps', () => {
+    const capsule = new Capsule(0, 0, 40, 10, 0.002);
+
+    assert.ok(close(capsule.area, 2 * 10 * 40 + Math.PI * 100));
+    assert.ok(close(capsule.mass, 0.002 * capsule.area));
+    assert.throws(() => new Capsule(0, 0, 0, 10), /length must be positive/);
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PhysicsEngine, Rectangle, Circle } from '../physics.js';
+
+// A stack of two boxes and a lone box, well clear of the default world's box
+function createScene(options) {
+    const engine = new PhysicsEngine(800, 600, options);
+    const bottom = engine.addBody(new Rectangle(500, 535, 40, 30, 1, false));
+    const top = engine.addBody(new Rectangle(500, 505, 40, 30, 1, false));
+    const lone = engine.addBody(new Rectangle(650, 535, 40, 30, 1, false));
+    return { engine, bottom, top, lone };
+}
+
+function runUntilAsleep(engine, bodies, maxTicks = 300) {
+    for (let tick = 1; tick <= maxTicks; tick++) {
+        engine.update();
+        if (bodies.every(body => body.isSleeping)) return tick;
+    }
+    return null;
+}
+
+test('bodies resting on each other share an island and sleep together', () => {
+    const { engine, bottom, top, lone } = createScene();
+    const sleepTick = runUntilAsleep(engine, [bottom, top, lone]);
+
+    assert.ok(sleepTick !== null && sleepTick >= engine.timeToSleep, `slept at tick ${sleepTick}`);
+    assert.equal(bottom.island, top.island);
+    assert.notEqual(bottom.island, lone.island);
+
+    // Sleeping bodies are left where they are
+    const y = top.position.y;
+    for (let tick = 0; tick < 60; tick++) {
+        engine.update();
+    }
+    assert.equal(top.position.y, y);
+    assert.ok(top.isSleeping);
+});
+
+test('waking a body wakes its island and nothing else', () => {
+    const { engine, bottom, top, lone } = createScene();
+    runUntilAsleep(engine, [bottom, top, lone]);
+
+    engine.wakeBody(bottom);
+    assert.ok(!bottom.isSleeping && !top.isSleeping);
+    assert.ok(lone.isSleeping);
+    assert.ok(runUntilAsleep(engine, [bottom, top]) !== null);
+});
+
+test('a body landing on a sleeping stack wakes it', () => {
+    const { engine, bottom, top, lone } = createScene();
+    runUntilAsleep(engine, [bottom, top, lone]);
+
+    engine.addBody(new Circle(500, 400, 10));
+    let woken = false;
+    for (let tick = 0; tick < 150; tick++) {
+        engine.update();
+        woken = woken || !bottom.isSleeping;
+    }
+    assert.ok(woken);
+    assert.ok(lone.isSleeping);
+});
+
+test('nothing sleeps with sleeping turned off', () => {
+    const { engine, bottom, top, lone } = createScene({ enableSleeping: false });
+
+    assert.equal(runUntilAsleep(engine, [bottom], 300), null);
+    assert.ok(!top.isSleeping && !lone.isSleeping);
+});
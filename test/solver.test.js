@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PhysicsEngine, Rectangle } from '../physics.js';
+
+// The ten box stack from stacking.test.js, solved with sequential impulses
+function runStack(solverIterations, ticks = 900) {
+    const engine = new PhysicsEngine(800, 600, { solverMode: 'sequential', solverIterations });
+    const boxes = [];
+    for (let i = 0; i < 10; i++) {
+        boxes.push(engine.addBody(new Rectangle(400, 535 - i * 30, 40, 30, 1, false)));
+    }
+
+    const result = { drift: 0, sleepTick: null, impulsesClamped: true };
+    for (let tick = 1; tick <= ticks; tick++) {
+        engine.update();
+        for (const box of boxes) {
+            result.drift = Math.max(result.drift, Math.abs(box.position.x - 400));
+        }
+        if (result.sleepTick === null && boxes.every(box => box.isSleeping)) {
+            result.sleepTick = tick;
+        }
+        for (const contact of engine.contacts) {
+            for (let i = 0; i < contact.contactPoints.length; i++) {
+                const normalImpulse = contact.normalImpulses[i];
+                if (normalImpulse < 0 || Math.abs(contact.tangentImpulses[i]) > normalImpulse * contact.material.staticFriction + 1e-12) {
+                    result.impulsesClamped = false;
+                }
+            }
+        }
+    }
+    result.top = boxes[boxes.length - 1];
+    return result;
+}
+
+test('a stack settles and sleeps under the sequential solver', () => {
+    const { drift, sleepTick, top, impulsesClamped } = runStack(10);
+
+    assert.ok(drift < 1, `drifted ${drift}px`);
+    assert.ok(Math.abs(top.position.y - 265) < 12, `top box at y ${top.position.y}`);
+    assert.ok(Math.abs(top.angle) < 0.01, `top box turned ${top.angle}`);
+    assert.ok(sleepTick !== null && sleepTick < 300, `slept at tick ${sleepTick}`);
+    // Accumulated impulses never pull and friction stays inside the cone
+    assert.ok(impulsesClamped);
+});
+
+test('more iterations hold the stack up better', () => {
+    const single = runStack(1);
+    const many = runStack(10);
+
+    assert.ok(many.top.position.y < single.top.position.y);
+    assert.ok(many.drift < single.drift);
+});
+
+test('solver modes are chosen per engine', () => {
+    const engine = new PhysicsEngine(800, 600);
+    const other = new PhysicsEngine(800, 600, { solverMode: 'sequential', solverIterations: 4 });
+
+    assert.equal(engine.solverMode, 'resting');
+    assert.equal(other.solverMode, 'sequential');
+    assert.equal(other.solverIterations, 4);
+
+    engine.setSolverMode('sequential', 6);
+    assert.equal(engine.solverIterations, 6);
+    assert.throws(() => engine.setSolverMode('jacobi'), /Unknown solver mode jacobi/);
+    assert.equal(engine.solverMode, 'sequential');
+});
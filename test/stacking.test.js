@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PhysicsEngine, Rectangle, Vector2 } from '../physics.js';
+
+// Ten 40x30 boxes stacked on the ground, the top one's centre at y = 265
+// when every box rests exactly on the one below
+function runStack(options, ticks = 900) {
+    const engine = new PhysicsEngine(800, 600, options);
+    const boxes = [];
+    for (let i = 0; i < 10; i++) {
+        boxes.push(engine.addBody(new Rectangle(400, 535 - i * 30, 40, 30, 1, false)));
+    }
+
+    const result = { drift: 0, sleepTick: null, restingSpeed: 0 };
+    for (let tick = 1; tick <= ticks; tick++) {
+        engine.update();
+        for (const box of boxes) {
+            result.drift = Math.max(result.drift, Math.abs(box.position.x - 400));
+        }
+        if (result.sleepTick === null && boxes.every(box => box.isSleeping)) {
+            result.sleepTick = tick;
+        }
+        for (const cache of engine.contactCache.values()) {
+            result.restingSpeed = Math.max(result.restingSpeed, Vector2.length(cache.restingVelocityA), Vector2.length(cache.restingVelocityB));
+        }
+    }
+    result.top = boxes[boxes.length - 1];
+    return result;
+}
+
+test('a warm started stack settles in place and sleeps', () => {
+    const { drift, sleepTick, top } = runStack({});
+
+    assert.ok(drift < 1, `drifted ${drift}px`);
+    assert.ok(Math.abs(top.position.y - 265) < 12, `top box at y ${top.position.y}`);
+    assert.ok(Math.abs(top.angle) < 0.01, `top box turned ${top.angle}`);
+    assert.ok(sleepTick !== null && sleepTick < 300, `slept at tick ${sleepTick}`);
+});
+
+test('warm starting keeps feeding the resting velocities', () => {
+    assert.ok(runStack({}, 60).restingSpeed > 0);
+});
+
+test('the stack holds up better with warm starting than without', () => {
+    const warm = runStack({});
+    const cold = runStack({ warmStarting: false });
+
+    assert.ok(warm.drift < cold.drift);
+    assert.ok(warm.top.position.y < cold.top.position.y);
+});
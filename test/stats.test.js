@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PhysicsEngine, SolverStats } from '../physics.js';
+
+function run(engine, ticks) {
+    for (let tick = 0; tick < ticks; tick++) {
+        engine.update();
+    }
+}
+
+test('stats are off unless enabled', () => {
+    const engine = new PhysicsEngine(800, 600);
+    run(engine, 5);
+    assert.equal(engine.stats, null);
+
+    engine.setStatsEnabled(true);
+    run(engine, 5);
+    assert.equal(engine.stats.history.length, 5);
+    engine.setStatsEnabled(false);
+    assert.equal(engine.stats, null);
+    run(engine, 1);
+});
+
+test('each tick records its phases and the state it ended in', () => {
+    const engine = new PhysicsEngine(800, 600, { enableStats: true });
+    engine.createBody({ shape: 'rectangle', width: 40, height: 30, x: 500, y: 535 });
+    run(engine, 10);
+    const record = engine.stats.current;
+
+    assert.equal(record.time, engine.currentTime);
+    assert.deepEqual(Object.keys(record.phases), SolverStats.phases);
+    assert.ok(Object.values(record.phases).every(time => time >= 0));
+    const phaseTotal = Object.values(record.phases).reduce((sum, time) => sum + time, 0);
+    assert.ok(Math.abs(record.totalTime - phaseTotal) < 1e-9);
+    // The resting solver never runs the sequential one
+    assert.equal(record.phases.sequential, 0);
+
+    assert.equal(record.bodyCount, engine.bodies.length);
+    assert.equal(record.contactCount, engine.contacts.length);
+    assert.equal(record.islandCount, engine.islands.length);
+    assert.ok(record.pairCount >= record.contactCount);
+    assert.equal(record.contactPointCount, engine.contacts.reduce((count, contact) => count + contact.contactPoints.length, 0));
+    assert.equal(record.maxPenetration, Math.max(...engine.contacts.flatMap(contact => contact.penetrations)));
+    assert.ok(record.restingVelocityDrift > 0);
+});
+
+test('kinetic energy counts linear and angular motion per second', () => {
+    const engine = new PhysicsEngine(800, 600, { enableStats: true });
+    engine.setGravity(0, 0);
+    engine.destroyBody(engine.bodies[1]); // the default box
+    const ball = engine.createBody({ shape: 'circle', radius: 10, x: 400, y: 100, velocity: { x: 30, y: 40 }, angularVelocity: 2 });
+    run(engine, 1);
+
+    const expected = 0.5 * ball.mass * 50 * 50 + 0.5 * ball.inertia * 2 * 2;
+    assert.ok(Math.abs(engine.stats.current.kineticEnergy - expected) < 1e-9 * expected);
+    assert.equal(engine.stats.current.awakeBodyCount, 1);
+});
+
+test('history keeps the last historyLength ticks, oldest first', () => {
+    const engine = new PhysicsEngine(800, 600, { enableStats: true, statsHistoryLength: 20 });
+    run(engine, 50);
+
+    assert.equal(engine.stats.history.length, 20);
+    assert.equal(engine.stats.history[0].time, 31);
+    assert.equal(engine.stats.history[19], engine.stats.current);
+});
+
+test('stats enabled from inside a tick start with the next one', () => {
+    const engine = new PhysicsEngine(800, 600);
+    engine.on('preStep', () => {
+        if (!engine.stats) engine.setStatsEnabled(true);
+    });
+    engine.update();
+    assert.equal(engine.stats.tick, null);
+    assert.equal(engine.stats.current, null);
+
+    engine.update();
+    assert.equal(engine.stats.history.length, 1);
+    assert.equal(engine.stats.current.time, 2);
+});
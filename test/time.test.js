@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PhysicsEngine, Circle, RevoluteJoint, Vector2 } from '../physics.js';
+
+function createWeightlessEngine(hz) {
+    const engine = new PhysicsEngine(800, 600, { hz });
+    engine.setGravity(0, 0);
+    return engine;
+}
+
+test('step runs the ticks the elapsed time covers and keeps the rest', () => {
+    const engine = createWeightlessEngine(60);
+
+    assert.equal(engine.step(0.04), 2);
+    assert.ok(Math.abs(engine.alpha - 0.4) < 1e-9, `alpha ${engine.alpha}`);
+    assert.equal(engine.step(0.01), 1);
+    assert.equal(engine.currentTime, 3);
+
+    // A long stall runs at most maxSubSteps ticks and drops the backlog
+    assert.equal(engine.step(10), engine.maxSubSteps);
+    assert.ok(engine.alpha < 1);
+});
+
+test('gravity and body velocities are per second whatever the tick rate', () => {
+    for (const hz of [30, 60, 120]) {
+        const engine = createWeightlessEngine(hz);
+        const body = engine.createBody({ shape: 'circle', radius: 10, x: 400, y: 100, velocity: { x: 120, y: 0 }, angularVelocity: Math.PI });
+
+        assert.ok(Math.abs(engine.getBodyVelocity(body).x - 120) < 1e-9);
+        for (let tick = 0; tick < hz; tick++) {
+            engine.update();
+        }
+        assert.ok(Math.abs(body.position.x - 520) < 1e-6, `${hz}Hz: x ${body.position.x}`);
+        assert.ok(Math.abs(body.angle - Math.PI) < 1e-6, `${hz}Hz: angle ${body.angle}`);
+    }
+
+    for (const hz of [30, 120]) {
+        const engine = createWeightlessEngine(hz);
+        engine.setGravity(0, 60);
+        assert.ok(Math.abs(engine.getGravity().y - 60) < 1e-9);
+
+        const body = engine.addBody(new Circle(400, 100, 10));
+        engine.setBodyVelocity(body, new Vector2(0, -30));
+        for (let tick = 0; tick < hz; tick++) {
+            engine.update();
+        }
+        assert.ok(Math.abs(engine.getBodyVelocity(body).y - 30) < 1e-6, `${hz}Hz: vy ${engine.getBodyVelocity(body).y}`);
+    }
+});
+
+test('joint motor speeds are per second whatever the tick rate', () => {
+    for (const hz of [30, 60, 120]) {
+        const engine = createWeightlessEngine(hz);
+        const pin = engine.addBody(new Circle(400, 300, 5, 0.001, true));
+        const wheel = engine.addBody(new Circle(400, 300, 30));
+        engine.addJoint(new RevoluteJoint(pin, wheel, wheel.position, { enableMotor: true, motorSpeed: Math.PI, maxMotorTorque: 1e9 }));
+
+        for (let tick = 0; tick < hz; tick++) {
+            engine.update();
+        }
+        assert.ok(Math.abs(engine.getBodyAngularVelocity(wheel) - Math.PI) < 1e-6);
+        assert.ok(Math.abs(wheel.angle - Math.PI) < 0.2, `${hz}Hz: angle ${wheel.angle}`);
+    }
+});